@@ -0,0 +1,238 @@
+const API_KEYS = {
+    SHEET_NAME: 'tbl_api_keys',
+    HEADER_ROWS: 1,
+    ID_COL: 1,
+    CLIENT_COL: 2,
+    KEY_HASH_COL: 3,
+    SCOPES_COL: 4,
+    STATUS_COL: 5,
+    CREATED_BY_COL: 6,
+    CREATED_ON_COL: 7,
+    LAST_USED_ON_COL: 8,
+    ROW_SPAN: 1,
+    COL_SPAN: 8
+};
+const API_CALL_LOG = {
+    SHEET_NAME: 'tbl_api_call_log',
+    HEADER_ROWS: 1,
+    TIMESTAMP_COL: 1,
+    KEY_ID_COL: 2,
+    CLIENT_COL: 3,
+    METHOD_COL: 4,
+    PATH_COL: 5,
+    STATUS_COL: 6,
+    ROW_SPAN: 1,
+    COL_SPAN: 6
+};
+const API_KEY_STATUS = {
+    ACTIVE: 'active',
+    REVOKED: 'revoked'
+};
+
+/**
+ * Issues a new API key for a client.
+ * Only a hash of the secret is stored, so the returned key cannot be recovered later.
+ * @param {string} client - A name identifying the team or job that will use the key.
+ * @param {Array<string>} scopes - The scopes granted to the key.
+ * @returns {{id: number, client: string, scopes: Array<string>, key: string}} The key record and the plain text key.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner, the client is missing or a scope is invalid.
+ */
+function _issueApiKey(client, scopes) {
+    _validateApiKeyOwner();
+    if (!client) throw new Error('Missing API Key Client');
+    _validateScopes(scopes);
+    const secret = _generateApiSecret();
+    const createdBy = _getCurrentUserID();
+    return _withLock(() => {
+        const sheet = _getSheet(API_KEYS.SHEET_NAME);
+        const ids = _getApiKeyRows(sheet).map(row => Number(row[API_KEYS.ID_COL - 1]));
+        const id = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+        const newRow = [id, client, _hashApiSecret(secret), scopes.join(','), API_KEY_STATUS.ACTIVE, createdBy, Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd'), ''];
+        sheet.appendRow(newRow);
+        return { id: id, client: client, scopes: scopes, key: `${id}.${secret}` };
+    });
+}
+
+/**
+ * Replaces the secret of an active API key. The previous secret stops working immediately.
+ * @param {number} keyId - The ID of the key to rotate.
+ * @returns {{id: number, client: string, scopes: Array<string>, key: string}} The key record and the new plain text key.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner, or the key does not exist or has been revoked.
+ */
+function _rotateApiKey(keyId) {
+    _validateApiKeyOwner();
+    const secret = _generateApiSecret();
+    return _withLock(() => {
+        const sheet = _getSheet(API_KEYS.SHEET_NAME);
+        const { row, record } = _findApiKey(sheet, keyId);
+        if (record.status !== API_KEY_STATUS.ACTIVE) throw new Error(`API Key ${keyId} has been revoked.`);
+        sheet.getRange(row, API_KEYS.KEY_HASH_COL).setValue(_hashApiSecret(secret));
+        return { id: record.id, client: record.client, scopes: record.scopes, key: `${record.id}.${secret}` };
+    });
+}
+
+/**
+ * Revokes an API key. Revoked keys are kept so past calls stay attributable.
+ * @param {number} keyId - The ID of the key to revoke.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner or the key does not exist.
+ */
+function _revokeApiKey(keyId) {
+    _validateApiKeyOwner();
+    return _withLock(() => {
+        const sheet = _getSheet(API_KEYS.SHEET_NAME);
+        const { row } = _findApiKey(sheet, keyId);
+        sheet.getRange(row, API_KEYS.STATUS_COL).setValue(API_KEY_STATUS.REVOKED);
+    });
+}
+
+/**
+ * Lists every API key without its secret hash.
+ * @returns {Array<Object>} The API key records.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner.
+ */
+function _getApiKeys() {
+    _validateApiKeyOwner();
+    return _withLock(() => {
+        const sheet = _getSheet(API_KEYS.SHEET_NAME);
+        return _getApiKeyRows(sheet).map(_toApiKey);
+    });
+}
+
+/**
+ * Checks that the script is running as the owner of the config spreadsheet before an API key is read or changed.
+ * Scripts that use the library run as their own user, so only a script deployed by the owner can manage keys.
+ * @throws {Error} If the effective user is not the owner of the config spreadsheet.
+ */
+function _validateApiKeyOwner() {
+    const owner = SpreadsheetApp.openById(CONFIG_SHEET_ID).getOwner();
+    const email = Session.getEffectiveUser().getEmail();
+    if (!owner || !email || owner.getEmail() !== email) {
+        throw new Error('API keys can only be managed by the owner of the config spreadsheet.');
+    }
+}
+
+/**
+ * Authenticates an API request using its "apiKey" query parameter.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Object} The API key record of the caller.
+ * @throws {ApiError} 401 if the key is missing, unknown, revoked or does not match.
+ */
+function _authenticateApiKey(e) {
+    const apiKey = e.parameter && e.parameter.apiKey;
+    if (!apiKey) throw new ApiError(401, 'Missing API key.');
+    const [keyId, secret] = String(apiKey).split('.');
+    const keys = _withLock(() => _getApiKeyRows(_getSheet(API_KEYS.SHEET_NAME)));
+    const row = keys.find(row => String(row[API_KEYS.ID_COL - 1]) === keyId);
+    if (!row || !secret || row[API_KEYS.KEY_HASH_COL - 1] !== _hashApiSecret(secret)) {
+        throw new ApiError(401, 'Invalid API key.');
+    }
+    const record = _toApiKey(row);
+    if (record.status !== API_KEY_STATUS.ACTIVE) throw new ApiError(401, 'API key has been revoked.');
+    return record;
+}
+
+/**
+ * Records an API call against the key that made it and updates the key's last used date.
+ * Failures are logged rather than thrown so they never change the API response.
+ * @param {Object|null} apiKey - The authenticated API key record, or null if authentication failed.
+ * @param {string} method - The HTTP method of the request.
+ * @param {Array<string>} paths - The path segments after /api/v1.
+ * @param {number} status - The status returned to the caller.
+ */
+function _recordApiCall(apiKey, method, paths, status) {
+    try {
+        _withLock(() => {
+            const now = new Date();
+            const logRow = [now, apiKey ? apiKey.id : '', apiKey ? apiKey.client : '', method, `/${paths.join('/')}`, status];
+            _getSheet(API_CALL_LOG.SHEET_NAME).appendRow(logRow);
+            if (apiKey) {
+                const sheet = _getSheet(API_KEYS.SHEET_NAME);
+                const { row } = _findApiKey(sheet, apiKey.id);
+                sheet.getRange(row, API_KEYS.LAST_USED_ON_COL).setValue(Utilities.formatDate(now, 'EST', 'yyyy-MM-dd'));
+            }
+        });
+    } catch (error) {
+        Logger.log(`Unable to record API call: ${error}`);
+    }
+}
+
+/**
+ * Returns the data rows of the API key sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The API key sheet.
+ * @returns {Array<Array<any>>} The key rows.
+ */
+function _getApiKeyRows(sheet) {
+    const rowCount = sheet.getLastRow() - API_KEYS.HEADER_ROWS;
+    if (rowCount <= 0) return [];
+    return sheet.getRange(API_KEYS.HEADER_ROWS + 1, API_KEYS.ID_COL, rowCount, API_KEYS.COL_SPAN).getValues();
+}
+
+/**
+ * Finds the sheet row of an API key.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The API key sheet.
+ * @param {number} keyId - The ID of the key.
+ * @returns {{row: number, record: Object}} The sheet row number and the key record.
+ * @throws {Error} If the key does not exist.
+ */
+function _findApiKey(sheet, keyId) {
+    const rows = _getApiKeyRows(sheet);
+    const index = rows.findIndex(row => Number(row[API_KEYS.ID_COL - 1]) === Number(keyId));
+    if (index === -1) throw new Error(`API Key ${keyId} does not exist.`);
+    return { row: index + API_KEYS.HEADER_ROWS + 1, record: _toApiKey(rows[index]) };
+}
+
+/**
+ * Converts an API key row into a record, leaving out the secret hash.
+ * @param {Array<any>} row - The sheet row.
+ * @returns {Object} The API key record.
+ */
+function _toApiKey(row) {
+    return {
+        id: Number(row[API_KEYS.ID_COL - 1]),
+        client: row[API_KEYS.CLIENT_COL - 1],
+        scopes: String(row[API_KEYS.SCOPES_COL - 1]).split(',').filter(Boolean),
+        status: row[API_KEYS.STATUS_COL - 1],
+        createdBy: row[API_KEYS.CREATED_BY_COL - 1],
+        createdOn: _toDateString(row[API_KEYS.CREATED_ON_COL - 1]),
+        lastUsedOn: _toDateString(row[API_KEYS.LAST_USED_ON_COL - 1])
+    };
+}
+
+/**
+ * Ensures every scope is a known API scope.
+ * @param {Array<string>} scopes - The scopes to validate.
+ * @throws {Error} If no scopes are given or a scope is unknown.
+ */
+function _validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('Missing API Key Scopes');
+    const validScopes = Object.values(API_SCOPES);
+    const invalidScopes = scopes.filter(scope => !validScopes.includes(scope));
+    if (invalidScopes.length > 0) throw new Error(`Invalid API Key Scopes: ${invalidScopes.join(', ')}`);
+}
+
+/**
+ * Generates a random API key secret.
+ * @returns {string} The secret.
+ */
+function _generateApiSecret() {
+    return (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+}
+
+/**
+ * Hashes an API key secret with SHA-256.
+ * @param {string} secret - The secret to hash.
+ * @returns {string} The hex encoded hash.
+ */
+function _hashApiSecret(secret) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, secret, Utilities.Charset.UTF_8);
+    return _toHex(digest);
+}
+
+/**
+ * Hex encodes a signed byte array returned by Utilities.computeDigest.
+ * @param {Array<number>} bytes - The bytes to encode.
+ * @returns {string} The hex string.
+ */
+function _toHex(bytes) {
+    return bytes.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
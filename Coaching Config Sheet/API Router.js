@@ -0,0 +1,466 @@
+/**
+ * Error codes returned in the "error.code" field of an API response, keyed by status.
+ */
+const API_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    422: 'VALIDATION_FAILED',
+    500: 'INTERNAL_ERROR'
+};
+
+/**
+ * An error that carries the HTTP-style status to return to the API caller.
+ * @extends Error
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - The HTTP-style status code.
+     * @param {string} message - A human readable description of the error.
+     * @param {Object} [details] - Optional structured details about the error.
+     */
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Scopes that can be granted to an API key. Every route requires exactly one of them.
+ */
+const API_SCOPES = {
+    FORMS_READ: 'forms:read',
+    FORMS_WRITE: 'forms:write',
+    QUESTIONS_READ: 'questions:read',
+    QUESTIONS_WRITE: 'questions:write',
+    CATEGORIES_READ: 'categories:read',
+    EXPECTATIONS_READ: 'expectations:read',
+    CHANGES_READ: 'changes:read'
+};
+
+/**
+ * The read scope needed to see each kind of entity in the change feed.
+ */
+const CHANGE_ENTITY_SCOPES = {
+    form: API_SCOPES.FORMS_READ,
+    question: API_SCOPES.QUESTIONS_READ,
+    expectation: API_SCOPES.EXPECTATIONS_READ
+};
+
+/**
+ * Routes served under /api/v1.
+ * Segments starting with ":" are captured and passed to the handler as parameters.
+ * Routes that create a resource set "status" to report 201 instead of 200.
+ * @type {Array<{method: string, path: string, scope: string, handler: function(Object, GoogleAppsScript.Events.AppsScriptHttpRequestEvent, Object): any, status: (number|undefined)}>}
+ */
+const API_V1_ROUTES = [
+    { method: 'GET', path: 'forms', scope: API_SCOPES.FORMS_READ, handler: _apiGetForms },
+    { method: 'GET', path: 'forms/:id', scope: API_SCOPES.FORMS_READ, handler: _apiGetForm },
+    { method: 'GET', path: 'forms/:id/questions', scope: API_SCOPES.QUESTIONS_READ, handler: _apiGetFormQuestions },
+    { method: 'GET', path: 'questions/:id', scope: API_SCOPES.QUESTIONS_READ, handler: _apiGetQuestion },
+    { method: 'GET', path: 'categories', scope: API_SCOPES.CATEGORIES_READ, handler: _apiGetCategories },
+    { method: 'GET', path: 'expectations', scope: API_SCOPES.EXPECTATIONS_READ, handler: _apiGetExpectations },
+    { method: 'GET', path: 'agents/:id/expectation', scope: API_SCOPES.EXPECTATIONS_READ, handler: _apiGetEffectiveExpectation },
+    { method: 'GET', path: 'changes', scope: API_SCOPES.CHANGES_READ, handler: _apiGetChanges },
+    { method: 'POST', path: 'forms', scope: API_SCOPES.FORMS_WRITE, handler: _apiAddForm, status: 201 },
+    { method: 'PUT', path: 'forms/:id', scope: API_SCOPES.FORMS_WRITE, handler: _apiUpdateForm },
+    { method: 'DELETE', path: 'forms/:id', scope: API_SCOPES.FORMS_WRITE, handler: _apiRemoveForm },
+    { method: 'PUT', path: 'questions/:id', scope: API_SCOPES.QUESTIONS_WRITE, handler: _apiUpdateQuestion }
+];
+
+/**
+ * Field rules for request bodies, checked with validateValue.
+ * Labels match the messages thrown by the library's mutation functions.
+ */
+const API_FIELD_RULES = {
+    FORM: [
+        { field: 'performance', type: 'Checkbox', label: 'Performance Checkbox Value' },
+        { field: 'oneToOne', type: 'Checkbox', label: 'One-to-One Checkbox Value' },
+        { field: 'sideBySide', type: 'Checkbox', label: 'Side-by-Side Checkbox Value' }
+    ],
+    QUESTION: [
+        { field: 'text', type: 'Question Text', label: 'Question Text' },
+        { field: 'category', type: 'Question Category', label: 'Question Category' },
+        { field: 'hidden', type: 'Checkbox', label: 'Hidden Checkbox Value' }
+    ]
+};
+
+/**
+ * Routes a v1 API request to its handler and wraps the result in a response envelope.
+ * The caller's API key must carry the scope of the route, and every call is recorded against its key.
+ * GET responses carry an "etag"; when the "ifNoneMatch" query parameter matches it, the data is left out and the status is 304.
+ * @param {Array<string>} paths - The path segments after /api/v1.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {string} [method='GET'] - The HTTP method of the request.
+ * @returns {GoogleAppsScript.Content.TextOutput} - The response object.
+ */
+function apiv1(paths, e, method = 'GET') {
+    let apiKey = null;
+    let response;
+    try {
+        apiKey = _authenticateApiKey(e);
+        const { route, params } = _matchRoute(method, paths);
+        if (!apiKey.scopes.includes(route.scope)) {
+            throw new ApiError(403, `API key is missing the '${route.scope}' scope.`);
+        }
+        const data = route.handler(params, e, apiKey);
+        if (method === 'GET') {
+            const etag = _computeEtag(data);
+            response = e.parameter.ifNoneMatch === etag ? { status: 304, etag: etag } : { status: 200, etag: etag, data: data };
+        } else {
+            response = { status: route.status || 200, data: data };
+        }
+    } catch (error) {
+        response = _toErrorResponse(error);
+    }
+    _recordApiCall(apiKey, method, paths, response.status);
+    return formatForOutput(response);
+}
+
+/**
+ * Converts a response envelope into a JSON text output.
+ * @param {Object} body - The response envelope.
+ * @returns {GoogleAppsScript.Content.TextOutput} - The response object.
+ */
+function formatForOutput(body) {
+    return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Builds an error response envelope from an error.
+ * Errors that are not ApiErrors are reported as internal errors.
+ * @param {Error} error - The error to report.
+ * @returns {{status: number, error: {code: string, message: string, details: (Object|undefined)}}} The error envelope.
+ */
+function _toErrorResponse(error) {
+    const status = error instanceof ApiError ? error.status : 500;
+    if (status === 500) Logger.log(error);
+    return {
+        status: status,
+        error: {
+            code: API_ERROR_CODES[status] || API_ERROR_CODES[500],
+            message: error.message,
+            details: error.details
+        }
+    };
+}
+
+/**
+ * Finds the route matching the given method and path segments.
+ * @param {string} method - The HTTP method of the request.
+ * @param {Array<string>} paths - The path segments after /api/v1.
+ * @returns {{route: Object, params: Object}} The matched route and captured path parameters.
+ * @throws {ApiError} 404 if no route matches the path, 405 if the path exists for another method.
+ */
+function _matchRoute(method, paths) {
+    let pathMatched = false;
+    for (const route of API_V1_ROUTES) {
+        const segments = route.path.split('/');
+        if (segments.length !== paths.length) continue;
+        const params = {};
+        const isMatch = segments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = decodeURIComponent(paths[index]);
+                return true;
+            }
+            return segment === paths[index];
+        });
+        if (!isMatch) continue;
+        pathMatched = true;
+        if (route.method === method) return { route, params };
+    }
+    if (pathMatched) throw new ApiError(405, `Method ${method} not allowed for /${paths.join('/')}`);
+    throw new ApiError(404, `Unknown resource /${paths.join('/')}`);
+}
+
+/**
+ * Parses a numeric ID path parameter.
+ * @param {string} value - The raw path parameter.
+ * @param {string} label - The name of the ID used in error messages.
+ * @returns {number} The parsed ID.
+ * @throws {ApiError} 400 if the value is not a whole number.
+ */
+function _parseIdParam(value, label) {
+    const id = Number(value);
+    if (!Number.isInteger(id)) throw new ApiError(400, `Invalid ${label}: ${value}`);
+    return id;
+}
+
+/**
+ * Computes a version token for response data so clients can skip unchanged payloads.
+ * @param {*} data - The response data.
+ * @returns {string} The MD5 hash of the serialized data.
+ */
+function _computeEtag(data) {
+    return _toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(data), Utilities.Charset.UTF_8));
+}
+
+/**
+ * Parses an optional date query parameter.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {string} name - The name of the query parameter.
+ * @returns {Date|null} The parsed date, or null if the parameter was not given.
+ * @throws {ApiError} 400 if the parameter is not a valid date.
+ */
+function _parseDateParam(e, name) {
+    const value = e.parameter[name];
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) throw new ApiError(400, `Invalid ${name}: ${value}`);
+    return date;
+}
+
+/**
+ * Applies the "modifiedSince" query parameter to a list of records.
+ * Sheets only store the day a record was updated, so records updated on the same day are included.
+ * @param {Array<Object>} records - Records with "updatedOn" (and optionally "createdOn") yyyy-MM-dd strings.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Array<Object>} The records modified on or after the requested day.
+ */
+function _filterModifiedSince(records, e) {
+    const modifiedSince = _parseDateParam(e, 'modifiedSince');
+    if (!modifiedSince) return records;
+    const sinceDay = Utilities.formatDate(modifiedSince, 'EST', 'yyyy-MM-dd');
+    return records.filter(record => [record.updatedOn, record.createdOn].some(day => day && String(day) >= sinceDay));
+}
+
+/**
+ * Parses the JSON body of a POST request.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Object} The parsed body, or an empty object if the request has no body.
+ * @throws {ApiError} 400 if the body is not a JSON object.
+ */
+function _parseJsonBody(e) {
+    if (!e.postData || !e.postData.contents) return {};
+    let body;
+    try {
+        body = JSON.parse(e.postData.contents);
+    } catch (error) {
+        throw new ApiError(400, 'Request body must be valid JSON.');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, 'Request body must be a JSON object.');
+    }
+    return body;
+}
+
+/**
+ * Validates request body fields and collects every failure instead of stopping at the first.
+ * @param {Object} body - The parsed request body.
+ * @param {Array<{field: string, type: string, label: string}>} rules - The fields to validate.
+ * @throws {ApiError} 422 with a "fields" list of { field, message } for each invalid field.
+ */
+function _validateFields(body, rules) {
+    const errors = [];
+    for (const { field, type, label } of rules) {
+        if (body[field] === undefined) {
+            errors.push({ field: field, message: `Missing ${label}` });
+        } else if (!validateValue(type, body[field])) {
+            errors.push({ field: field, message: `Invalid ${label}` });
+        }
+    }
+    if (errors.length > 0) throw new ApiError(422, 'Request validation failed.', { fields: errors });
+}
+
+/**
+ * Ensures a form is configured in "tbl_coaching_forms".
+ * @param {number} formId - The ID of the form.
+ * @throws {ApiError} 404 if the form is not configured.
+ */
+function _requireForm(formId) {
+    const formIds = _getFormIDs();
+    if (!formIds.includes(formId)) throw new ApiError(404, `Form ID ${formId} does not exist.`);
+}
+
+/**
+ * GET /forms - Lists all configured forms. Supports "modifiedSince".
+ * @param {Object} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Array<Object>} The configured forms.
+ */
+function _apiGetForms(params, e) {
+    return _filterModifiedSince(_getForms(), e);
+}
+
+/**
+ * GET /forms/{id} - Returns a single configured form.
+ * @param {{id: string}} params - The path parameters.
+ * @returns {Object} The form.
+ */
+function _apiGetForm(params) {
+    const formId = _parseIdParam(params.id, 'Form ID');
+    _requireForm(formId);
+    const forms = _getForms();
+    return forms.find(form => form.id === formId);
+}
+
+/**
+ * GET /forms/{id}/questions - Lists the configured questions of a form. Supports "modifiedSince".
+ * @param {{id: string}} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Array<Object>} The form's questions.
+ */
+function _apiGetFormQuestions(params, e) {
+    const formId = _parseIdParam(params.id, 'Form ID');
+    _requireForm(formId);
+    const questions = _getQuestions();
+    return _filterModifiedSince(questions.filter(question => question.formId === formId), e);
+}
+
+/**
+ * GET /questions/{id} - Returns a single configured question.
+ * @param {{id: string}} params - The path parameters.
+ * @returns {Object} The question.
+ */
+function _apiGetQuestion(params) {
+    const questionId = _parseIdParam(params.id, 'Question ID');
+    const questionIds = _getQuestionIDs();
+    if (!questionIds.includes(questionId)) throw new ApiError(404, `Question ID ${questionId} does not exist.`);
+    const questions = _getQuestions();
+    return questions.find(question => question.id === questionId);
+}
+
+/**
+ * GET /categories - Lists the valid question categories.
+ * @returns {Array<string>} The question categories.
+ */
+function _apiGetCategories() {
+    return getAllQuestionCategories();
+}
+
+/**
+ * GET /expectations - Lists all expectations, including archived ones. Supports "modifiedSince".
+ * @param {Object} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Array<Object>} The expectations.
+ */
+function _apiGetExpectations(params, e) {
+    return _filterModifiedSince(_getExpectations(), e);
+}
+
+/**
+ * GET /agents/{id}/expectation?date={yyyy-MM-dd} - Resolves the expectation that applies to an agent.
+ * Defaults to today when no date is given.
+ * @param {{id: string}} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Object} The effective targets and the precedence chain that produced them.
+ */
+function _apiGetEffectiveExpectation(params, e) {
+    const agentId = _parseIdParam(params.id, 'Agent ID');
+    const date = e.parameter.date || new Date();
+    try {
+        return _getEffectiveExpectation(agentId, date);
+    } catch (error) {
+        throw new ApiError(error.message.startsWith('Invalid Date') ? 400 : 404, error.message);
+    }
+}
+
+/**
+ * GET /changes?since={timestamp} - Lists forms, questions and expectations created, updated or removed after "since".
+ * Only entities the API key can read are included. Pass "latest" back as the next "since".
+ * @param {Object} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {{since: string, latest: string, changes: Array<Object>}} The changes, oldest first.
+ */
+function _apiGetChanges(params, e, apiKey) {
+    const since = _parseDateParam(e, 'since');
+    if (!since) throw new ApiError(400, 'Missing since');
+    const changes = _getChangesSince(since)
+        .filter(change => apiKey.scopes.includes(CHANGE_ENTITY_SCOPES[change.entity]));
+    return {
+        since: since.toISOString(),
+        latest: changes.length > 0 ? changes[changes.length - 1].timestamp : since.toISOString(),
+        changes: changes
+    };
+}
+
+/**
+ * Builds the audit context for a change made through the API, naming the key that made it.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {{source: string, actor: string}} The audit context.
+ */
+function _toApiAuditContext(apiKey) {
+    return _toAuditContext(AUDIT_SOURCES.API, `API key ${apiKey.id} (${apiKey.client})`);
+}
+
+/**
+ * POST /forms - Adds a form from the forms database to the configuration.
+ * Body: { id: number }
+ * @param {Object} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {Object} The added form.
+ */
+function _apiAddForm(params, e, apiKey) {
+    const body = _parseJsonBody(e);
+    const formId = Number(body.id);
+    if (body.id === undefined || !Number.isInteger(formId)) {
+        throw new ApiError(422, 'Request validation failed.', { fields: [{ field: 'id', message: body.id === undefined ? 'Missing Form ID' : 'Invalid Form ID' }] });
+    }
+    const formIds = _getFormIDs();
+    if (formIds.includes(formId)) throw new ApiError(409, `Form ID ${formId} already exists.`);
+    const removedForms = _getRemovedForms();
+    if (removedForms.some(form => form.id === formId)) throw new ApiError(409, `Form ID ${formId} has been removed. Restore it from the Forms page.`);
+    const unusedForms = _getUnusedForms();
+    if (!unusedForms.some(form => Number(form.id) === formId)) throw new ApiError(404, `Form ID ${formId} was not found in the forms database.`);
+    _addForm(formId, _toApiAuditContext(apiKey));
+    return _apiGetForm({ id: formId });
+}
+
+/**
+ * PUT /forms/{id} - Updates the coaching flags of a form.
+ * Body: { performance: boolean, oneToOne: boolean, sideBySide: boolean }
+ * @param {{id: string}} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {Object} The updated form.
+ */
+function _apiUpdateForm(params, e, apiKey) {
+    const formId = _parseIdParam(params.id, 'Form ID');
+    _requireForm(formId);
+    const body = _parseJsonBody(e);
+    _validateFields(body, API_FIELD_RULES.FORM);
+    _updateForm(formId, body.performance, body.oneToOne, body.sideBySide, _toApiAuditContext(apiKey));
+    return _apiGetForm(params);
+}
+
+/**
+ * DELETE /forms/{id} - Removes a form from the configuration.
+ * @param {{id: string}} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {{id: number, removed: boolean}} Confirmation of the removal.
+ */
+function _apiRemoveForm(params, e, apiKey) {
+    const formId = _parseIdParam(params.id, 'Form ID');
+    _requireForm(formId);
+    _removeForm(formId, _toApiAuditContext(apiKey));
+    return { id: formId, removed: true };
+}
+
+/**
+ * PUT /questions/{id} - Updates the text, category and hidden flag of a question.
+ * Body: { text: string, category: string, hidden: boolean }
+ * @param {{id: string}} params - The path parameters.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @param {Object} apiKey - The API key record of the caller.
+ * @returns {Object} The updated question.
+ */
+function _apiUpdateQuestion(params, e, apiKey) {
+    const questionId = _parseIdParam(params.id, 'Question ID');
+    const body = _parseJsonBody(e);
+    _validateFields(body, API_FIELD_RULES.QUESTION);
+    const audit = _toApiAuditContext(apiKey);
+    if (validateValue('Question ID', questionId)) {
+        _updateQuestion(questionId, body.text, body.category, body.hidden, audit);
+    } else {
+        _addQuestion(questionId, body.text, body.category, body.hidden, audit);
+    }
+    return _apiGetQuestion(params);
+}
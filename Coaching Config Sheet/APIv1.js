@@ -17,16 +17,18 @@ function getAllQuestionCategories() {
  * @param {string} text - The updated text of the question.
  * @param {string} category - The updated category of the question.
  * @param {boolean} hidden - The updated value of the hidden checkbox.
- * @throws {Error} Missing Question ID, Missing Question Text, Missing Question Category, Missing Hidden Checkbox Value, Invalid Question ID, Invalid Question Text, Invalid Question Category, Invalid Hidden Checkbox Value.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded in the audit log against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} Missing Question ID, Missing Question Text, Missing Question Category, Missing Hidden Checkbox Value, Invalid Question ID, Invalid Question Text, Invalid Question Category, Invalid Hidden Checkbox Value, Invalid Audit Source.
  */
-async function updateQuestion(id, text, category, hidden) {
+function updateQuestion(id, text, category, hidden, source) {
     if(!id) throw new Error('Missing Question ID');
     if(text === undefined) throw new Error('Missing Question Text');
     if(category === undefined) throw new Error('Missing Question Category');
     if(hidden === undefined) throw new Error('Missing Hidden Checkbox Value');
     id = parseInt(id);
-    const existingQuestion = await validateValue('Question ID', id);
-    return existingQuestion ? await _updateQuestion(id, text, category, hidden) : await _addQuestion(id, text, category, hidden);
+    const audit = _toAuditContext(source);
+    const existingQuestion = validateValue('Question ID', id);
+    return existingQuestion ? _updateQuestion(id, text, category, hidden, audit) : _addQuestion(id, text, category, hidden, audit);
 }
 
 /**
@@ -35,42 +37,194 @@ async function updateQuestion(id, text, category, hidden) {
  * @param {boolean} performance - The value of the performance checkbox.
  * @param {boolean} oneToOne - The value of the one-to-one checkbox.
  * @param {boolean} SideBySide - The value of the side-by-side checkbox.
- * @throws {Error} If any of the required parameters are missing.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded in the audit log against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} If any of the required parameters are missing or the source is invalid.
  */
-async function updateForm(id, performance, oneToOne, sideBySide) {
+function updateForm(id, performance, oneToOne, sideBySide, source) {
     if(!id) throw new Error('Missing Form ID');
     if(performance === undefined) throw new Error('Missing Performance Checkbox Value');
     if(oneToOne === undefined) throw new Error('Missing One-to-One Checkbox Value');
     if(sideBySide === undefined) throw new Error('Missing Side-by-Side Checkbox Value');
-    return await _updateForm(id, performance, oneToOne, sideBySide);
+    return _updateForm(id, performance, oneToOne, sideBySide, _toAuditContext(source));
 }
 
 /**
  * Returns an array of unused form objects.
- * @returns {Promise<Array<{id: number, name: string}>>} An array of unused form objects with id and name properties.
+ * @returns {Array<{id: number, name: string}>} An array of unused form objects with id and name properties.
  */
-async function getUnusedForms() {
-    return await _getUnusedForms();
+function getUnusedForms() {
+    return _getUnusedForms();
 }
 
 /**
  * Adds a form with the given ID.
  * @param {string} formId - The ID of the form to add.
- * @returns {Promise} A Promise that resolves when the form is added.
- * @throws {Error} If formId is missing.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded in the audit log against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} If formId is missing or the source is invalid.
  */
-async function addForm(formId) {
+function addForm(formId, source) {
     if(!formId) throw new Error('Missing Form ID');
-    return await _addForm(formId);
+    return _addForm(formId, _toAuditContext(source));
 }
 
 /**
  * Removes a form with the given ID.
  * @param {string} formId - The ID of the form to remove.
- * @returns {Promise} A Promise that resolves when the form is successfully removed.
- * @throws {Error} If formId is missing.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded in the audit log against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} If formId is missing or the source is invalid.
  */
-async function removeForm(formId) {
+function removeForm(formId, source) {
     if(!formId) throw new Error('Missing Form ID');
-    return await _removeForm(formId);
+    return _removeForm(formId, _toAuditContext(source));
+}
+
+/**
+ * Returns the removed forms, with the coaching flags each had when it was removed.
+ * @returns {Array<Object>} The removed forms, each with who removed it and when.
+ */
+function getRemovedForms() {
+    return _getRemovedForms();
+}
+
+/**
+ * Restores a removed form with the coaching flags it had when it was removed.
+ * @param {string} formId - The ID of the form to restore.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded in the audit log against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} If formId is missing, the form has not been removed or the source is invalid.
+ */
+function restoreForm(formId, source) {
+    if(!formId) throw new Error('Missing Form ID');
+    return _restoreForm(formId, _toAuditContext(source));
+}
+
+/**
+ * Issues a new API key for a client. The plain text key is only returned here.
+ * @param {string} client - A name identifying the team or job that will use the key.
+ * @param {Array<string>} scopes - The scopes granted to the key, e.g. 'forms:read'.
+ * @returns {{id: number, client: string, scopes: Array<string>, key: string}} The key record and the plain text key.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner, the client is missing or a scope is invalid.
+ */
+function issueApiKey(client, scopes) {
+    return _issueApiKey(client, scopes);
+}
+
+/**
+ * Replaces the secret of an API key.
+ * @param {number} keyId - The ID of the key to rotate.
+ * @returns {{id: number, client: string, scopes: Array<string>, key: string}} The key record and the new plain text key.
+ * @throws {Error} If keyId is missing, the key has been revoked or the script is not running as the config spreadsheet's owner.
+ */
+function rotateApiKey(keyId) {
+    if(!keyId) throw new Error('Missing API Key ID');
+    return _rotateApiKey(keyId);
+}
+
+/**
+ * Revokes an API key.
+ * @param {number} keyId - The ID of the key to revoke.
+ * @throws {Error} If keyId is missing or the script is not running as the config spreadsheet's owner.
+ */
+function revokeApiKey(keyId) {
+    if(!keyId) throw new Error('Missing API Key ID');
+    return _revokeApiKey(keyId);
+}
+
+/**
+ * Returns every API key without its secret.
+ * @returns {Array<Object>} The API key records.
+ * @throws {Error} If the script is not running as the config spreadsheet's owner.
+ */
+function getApiKeys() {
+    return _getApiKeys();
+}
+
+/**
+ * Returns the scopes that can be granted to an API key.
+ * @returns {Array<string>} The API scopes.
+ */
+function getApiScopes() {
+    return Object.values(API_SCOPES);
+}
+
+/**
+ * Records a change to an entity managed outside of the library so it appears in the API change feed.
+ * @param {string} entity - The kind of entity that changed: 'form', 'question' or 'expectation'.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened: 'created', 'updated' or 'removed'.
+ * @throws {Error} If entityId is missing.
+ */
+function recordChange(entity, entityId, action) {
+    if(entityId === undefined || entityId === null || entityId === '') throw new Error('Missing Entity ID');
+    return _recordChange(entity, entityId, action);
+}
+
+/**
+ * Records a change to an entity managed outside of the library in the audit log, with the value of each field before and after.
+ * @param {string} entity - The kind of entity that changed: 'form', 'question', 'expectation' or 'user'.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened: 'created', 'updated' or 'removed'.
+ * @param {Object|null} before - The entity's fields before the change, or null if it was created.
+ * @param {Object|null} after - The entity's fields after the change, or null if it was removed.
+ * @param {string} [source='ui'] - Where the change was requested from, recorded against the active user: 'ui', 'queue' or 'trigger'.
+ * @throws {Error} If entityId is missing, or the entity, action or source is invalid.
+ */
+function recordAudit(entity, entityId, action, before, after, source) {
+    if(entityId === undefined || entityId === null || entityId === '') throw new Error('Missing Entity ID');
+    return _recordAudit(entity, entityId, action, before, after, _toAuditContext(source));
+}
+
+/**
+ * Returns the audit log entries matching the given filters, newest first.
+ * @param {Object} [filters] - Optional filters: actor (text the actor contains), entity, entityId, from and to (yyyy-MM-dd) and limit.
+ * @returns {Array<Object>} The entries, each with the field-level changes it recorded.
+ */
+function getAuditLog(filters) {
+    return _getAuditLog(filters || {});
+}
+
+/**
+ * Resolves the expectation that applies to an agent on a given date, using Agent, Workgroup, Job Profile and Default precedence.
+ * @param {number|string} agentId - The employee ID of the agent.
+ * @param {Date|string} date - The date to resolve for. Strings are read as yyyy-MM-dd.
+ * @returns {Object} The effective targets and the precedence chain that produced them.
+ * @throws {Error} If agentId or date is missing.
+ */
+function getEffectiveExpectation(agentId, date) {
+    if(!agentId) throw new Error('Missing Agent ID');
+    if(!date) throw new Error('Missing Date');
+    return _getEffectiveExpectation(agentId, date);
+}
+
+/**
+ * Finds agents, workgroups and job profiles that will have no applicable expectation on one or more days of a period.
+ * @param {number} days - The number of days to check.
+ * @param {Date|string} fromDate - The first day to check. Strings are read as yyyy-MM-dd.
+ * @returns {Object} The period checked and a gap for each resource missing an expectation.
+ * @throws {Error} If days or fromDate is missing.
+ */
+function getExpectationGaps(days, fromDate) {
+    if(!days) throw new Error('Missing Number of Days');
+    if(!fromDate) throw new Error('Missing Date');
+    return _getExpectationGaps(days, fromDate);
+}
+
+/**
+ * Resolves the expectations that applied to every agent across a period, grouped into the days each expectation covered.
+ * @param {Date|string} fromDate - The first day of the period. Strings are read as yyyy-MM-dd.
+ * @param {Date|string} toDate - The last day of the period. Strings are read as yyyy-MM-dd.
+ * @returns {Object} The period and the expectations that applied to each agent.
+ * @throws {Error} If fromDate or toDate is missing.
+ */
+function getEffectiveExpectationPeriods(fromDate, toDate) {
+    if(!fromDate) throw new Error('Missing Start Date');
+    if(!toDate) throw new Error('Missing End Date');
+    return _getEffectiveExpectationPeriods(fromDate, toDate);
+}
+
+/**
+ * Returns the expectation type registry: each type's precedence and the Employee columns its resources are read from.
+ * @returns {Array<Object>} The registry entries, highest precedence first.
+ */
+function getExpectationTypeRegistry() {
+    return _getExpectationTypeRegistry();
 }
\ No newline at end of file
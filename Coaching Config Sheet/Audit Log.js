@@ -0,0 +1,157 @@
+const AUDIT_LOG = {
+    SHEET_NAME: 'tbl_audit_log',
+    HEADERS: ['ID', 'Timestamp', 'Actor', 'Source', 'Entity', 'Entity ID', 'Action', 'Changes'],
+    HEADER_ROWS: 1,
+    ID_COL: 1,
+    TIMESTAMP_COL: 2,
+    ACTOR_COL: 3,
+    SOURCE_COL: 4,
+    ENTITY_COL: 5,
+    ENTITY_ID_COL: 6,
+    ACTION_COL: 7,
+    CHANGES_COL: 8,
+    ROW_SPAN: 1,
+    COL_SPAN: 8,
+    DEFAULT_LIMIT: 500
+};
+const AUDIT_ENTITIES = {
+    FORM: 'form',
+    QUESTION: 'question',
+    EXPECTATION: 'expectation',
+    USER: 'user'
+};
+const AUDIT_SOURCES = {
+    UI: 'ui',
+    QUEUE: 'queue',
+    API: 'api',
+    TRIGGER: 'trigger'
+};
+
+/**
+ * Builds the actor and source recorded with an audit entry.
+ * @param {string} [source='ui'] - Where the change was requested from, one of AUDIT_SOURCES.
+ * @param {string} [actor] - Who made the change. Defaults to the active user's email address.
+ * @returns {{source: string, actor: string}} The audit context.
+ * @throws {Error} If the source is invalid.
+ */
+function _toAuditContext(source = AUDIT_SOURCES.UI, actor = '') {
+    if (!Object.values(AUDIT_SOURCES).includes(source)) throw new Error(`Invalid Audit Source: ${source}`);
+    return { source: source, actor: actor || Session.getActiveUser().getEmail() };
+}
+
+/**
+ * Lists the fields whose values differ between two versions of an entity.
+ * @param {Object|null} before - The entity before the change, or null if it was created.
+ * @param {Object|null} after - The entity after the change, or null if it was removed.
+ * @returns {Array<{field: string, before: any, after: any}>} The changed fields.
+ */
+function _diffAuditFields(before, after) {
+    const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return fields
+        .map(field => ({
+            field: field,
+            before: before && before[field] !== undefined ? before[field] : null,
+            after: after && after[field] !== undefined ? after[field] : null
+        }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Appends an entry to the audit log. Updates that change nothing are not recorded.
+ * Callers must already hold the script lock; use _recordAudit otherwise.
+ * @param {string} entity - The kind of entity that changed, one of AUDIT_ENTITIES.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened to the entity, one of CHANGE_ACTIONS.
+ * @param {Object|null} before - The entity's fields before the change, or null if it was created.
+ * @param {Object|null} after - The entity's fields after the change, or null if it was removed.
+ * @param {{source: string, actor: string}} audit - Who made the change and where from, from _toAuditContext.
+ */
+function _appendAudit(entity, entityId, action, before, after, audit) {
+    const changes = _diffAuditFields(before, after);
+    if (action === CHANGE_ACTIONS.UPDATED && changes.length === 0) return;
+    const sheet = _getAuditSheet();
+    const id = sheet.getLastRow() - AUDIT_LOG.HEADER_ROWS + 1;
+    const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ss.SSSXXX");
+    sheet.appendRow([id, timestamp, audit.actor, audit.source, entity, String(entityId), action, JSON.stringify(changes)]);
+}
+
+/**
+ * Records a change made outside of the library, such as an expectation or user saved by the config tool.
+ * @param {string} entity - The kind of entity that changed, one of AUDIT_ENTITIES.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened to the entity, one of CHANGE_ACTIONS.
+ * @param {Object|null} before - The entity's fields before the change, or null if it was created.
+ * @param {Object|null} after - The entity's fields after the change, or null if it was removed.
+ * @param {{source: string, actor: string}} audit - Who made the change and where from, from _toAuditContext.
+ * @throws {Error} If the entity or action is invalid.
+ */
+function _recordAudit(entity, entityId, action, before, after, audit) {
+    if (!Object.values(AUDIT_ENTITIES).includes(entity)) throw new Error(`Invalid Audit Entity: ${entity}`);
+    if (!Object.values(CHANGE_ACTIONS).includes(action)) throw new Error(`Invalid Change Action: ${action}`);
+    return _withLock(() => _appendAudit(entity, entityId, action, before, after, audit));
+}
+
+/**
+ * Returns the audit entries matching the given filters, newest first.
+ * @param {Object} [filters] - The filters. Every filter is optional.
+ * @param {string} [filters.actor] - Only entries whose actor contains this text, ignoring case.
+ * @param {string} [filters.entity] - Only entries for this kind of entity.
+ * @param {number|string} [filters.entityId] - Only entries for the entity with this ID.
+ * @param {string} [filters.from] - Only entries made on or after this day, as yyyy-MM-dd.
+ * @param {string} [filters.to] - Only entries made on or before this day, as yyyy-MM-dd.
+ * @param {number} [filters.limit=500] - The most entries to return.
+ * @returns {Array<Object>} The entries.
+ */
+function _getAuditLog(filters = {}) {
+    const actor = String(filters.actor || '').trim().toLowerCase();
+    const entityId = filters.entityId === undefined || filters.entityId === null ? '' : String(filters.entityId).trim();
+    const limit = Number(filters.limit) || AUDIT_LOG.DEFAULT_LIMIT;
+    return _withLock(() => {
+        const sheet = _getAuditSheet();
+        const rowCount = sheet.getLastRow() - AUDIT_LOG.HEADER_ROWS;
+        if (rowCount <= 0) return [];
+        return sheet.getRange(AUDIT_LOG.HEADER_ROWS + 1, AUDIT_LOG.ID_COL, rowCount, AUDIT_LOG.COL_SPAN).getValues()
+            .map(_toAuditEntry)
+            .filter(entry =>
+                (!actor || entry.actor.toLowerCase().includes(actor)) &&
+                (!filters.entity || entry.entity === filters.entity) &&
+                (!entityId || entry.entityId === entityId) &&
+                (!filters.from || entry.timestamp.slice(0, 10) >= filters.from) &&
+                (!filters.to || entry.timestamp.slice(0, 10) <= filters.to))
+            .reverse()
+            .slice(0, limit);
+    });
+}
+
+/**
+ * Converts an audit log row to an entry.
+ * @param {Array<any>} row - The row.
+ * @returns {Object} The entry.
+ */
+function _toAuditEntry(row) {
+    return {
+        id: Number(row[AUDIT_LOG.ID_COL - 1]),
+        timestamp: String(row[AUDIT_LOG.TIMESTAMP_COL - 1]),
+        actor: String(row[AUDIT_LOG.ACTOR_COL - 1]),
+        source: row[AUDIT_LOG.SOURCE_COL - 1],
+        entity: row[AUDIT_LOG.ENTITY_COL - 1],
+        entityId: String(row[AUDIT_LOG.ENTITY_ID_COL - 1]),
+        action: row[AUDIT_LOG.ACTION_COL - 1],
+        changes: JSON.parse(row[AUDIT_LOG.CHANGES_COL - 1] || '[]')
+    };
+}
+
+/**
+ * Returns the audit log sheet, creating it if needed. Values are stored as text so the sheet does not convert them.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The audit log sheet.
+ */
+function _getAuditSheet() {
+    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
+    let sheet = ss.getSheetByName(AUDIT_LOG.SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(AUDIT_LOG.SHEET_NAME);
+        sheet.getRange(1, 1, 1, AUDIT_LOG.HEADERS.length).setValues([AUDIT_LOG.HEADERS]);
+        sheet.getRange('A:H').setNumberFormat('@');
+    }
+    return sheet;
+}
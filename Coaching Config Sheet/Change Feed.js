@@ -0,0 +1,66 @@
+const CHANGE_LOG = {
+    SHEET_NAME: 'tbl_change_log',
+    HEADER_ROWS: 1,
+    TIMESTAMP_COL: 1,
+    ENTITY_COL: 2,
+    ENTITY_ID_COL: 3,
+    ACTION_COL: 4,
+    ROW_SPAN: 1,
+    COL_SPAN: 4
+};
+const CHANGE_ENTITIES = {
+    FORM: 'form',
+    QUESTION: 'question',
+    EXPECTATION: 'expectation'
+};
+const CHANGE_ACTIONS = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    REMOVED: 'removed'
+};
+
+/**
+ * Appends an entry to the change log.
+ * Callers must already hold the script lock; use _recordChange otherwise.
+ * @param {string} entity - The kind of entity that changed, one of CHANGE_ENTITIES.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened to the entity, one of CHANGE_ACTIONS.
+ */
+function _appendChange(entity, entityId, action) {
+    _getSheet(CHANGE_LOG.SHEET_NAME).appendRow([new Date(), entity, entityId, action]);
+}
+
+/**
+ * Records a change made outside of the library, such as an expectation saved by the config tool.
+ * @param {string} entity - The kind of entity that changed, one of CHANGE_ENTITIES.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened to the entity, one of CHANGE_ACTIONS.
+ * @throws {Error} If the entity or action is invalid.
+ */
+function _recordChange(entity, entityId, action) {
+    if (!Object.values(CHANGE_ENTITIES).includes(entity)) throw new Error(`Invalid Change Entity: ${entity}`);
+    if (!Object.values(CHANGE_ACTIONS).includes(action)) throw new Error(`Invalid Change Action: ${action}`);
+    return _withLock(() => _appendChange(entity, entityId, action));
+}
+
+/**
+ * Returns the changes recorded after the given time, oldest first.
+ * @param {Date} since - Only changes recorded after this time are returned.
+ * @returns {Array<{timestamp: string, entity: string, entityId: number, action: string}>} The changes.
+ */
+function _getChangesSince(since) {
+    return _withLock(() => {
+        const sheet = _getSheet(CHANGE_LOG.SHEET_NAME);
+        const rowCount = sheet.getLastRow() - CHANGE_LOG.HEADER_ROWS;
+        if (rowCount <= 0) return [];
+        const values = sheet.getRange(CHANGE_LOG.HEADER_ROWS + 1, CHANGE_LOG.TIMESTAMP_COL, rowCount, CHANGE_LOG.COL_SPAN).getValues();
+        return values
+            .filter(([timestamp]) => timestamp instanceof Date && timestamp > since)
+            .map(row => ({
+                timestamp: row[CHANGE_LOG.TIMESTAMP_COL - 1].toISOString(),
+                entity: row[CHANGE_LOG.ENTITY_COL - 1],
+                entityId: Number(row[CHANGE_LOG.ENTITY_ID_COL - 1]),
+                action: row[CHANGE_LOG.ACTION_COL - 1]
+            }));
+    });
+}
@@ -6,15 +6,47 @@
  */
 function doGet(e) {
     try {
-        const path = e.parameters.path[0] || "/";
-        const paths = path.split("/").filter(Boolean);
-
-        if (paths[0] !== 'api' || paths[1] !== 'v1') {
-            throw new Error('Invalid API path');
-        }
+        const paths = _getApiPaths(e);
         Logger.log(`API Call: ${paths}`);
         return apiv1(paths.slice(2), e);
     } catch (error) {
-        return formatForOutput({ error: error.message });
+        return formatForOutput(_toErrorResponse(error));
+    }
+}
+
+/**
+ * Handles HTTP POST requests to the API.
+ * Apps Script only delivers GET and POST, so PUT and DELETE are requested with a "method" query parameter.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {GoogleAppsScript.Content.TextOutput} - The response object.
+ * @throws {Error} - Throws an error if the API path or method is invalid.
+ */
+function doPost(e) {
+    try {
+        const paths = _getApiPaths(e);
+        const method = ((e.parameters.method && e.parameters.method[0]) || 'POST').toUpperCase();
+        if (!['POST', 'PUT', 'DELETE'].includes(method)) {
+            throw new ApiError(405, `Method ${method} is not supported`);
+        }
+        Logger.log(`API Call: ${method} ${paths}`);
+        return apiv1(paths.slice(2), e, method);
+    } catch (error) {
+        return formatForOutput(_toErrorResponse(error));
+    }
+}
+
+/**
+ * Splits the "path" query parameter of a request into segments and checks the API prefix.
+ * @param {GoogleAppsScript.Events.AppsScriptHttpRequestEvent} e - The HTTP request event object.
+ * @returns {Array<string>} The path segments, starting with "api" and "v1".
+ * @throws {ApiError} - If the path does not start with /api/v1.
+ */
+function _getApiPaths(e) {
+    const path = (e.parameters.path && e.parameters.path[0]) || "/";
+    const paths = path.split("/").filter(Boolean);
+
+    if (paths[0] !== 'api' || paths[1] !== 'v1') {
+        throw new ApiError(404, 'Invalid API path');
     }
+    return paths;
 }
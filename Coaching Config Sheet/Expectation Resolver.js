@@ -0,0 +1,338 @@
+/**
+ * The expectation types the tool started with. Their registry entries may leave the precedence and
+ * Employee columns blank to use these values.
+ * Default expectations apply to every agent, so they have no resource columns.
+ */
+const BUILT_IN_EXPECTATION_TYPES = {
+    'Agent': { rank: 1, resourceIdCol: 1, resourceNameCol: 2 },
+    'Workgroup': { rank: 2, resourceIdCol: 5, resourceNameCol: 6 },
+    'Job Profile': { rank: 3, resourceIdCol: 7, resourceNameCol: 8 },
+    'Default': { rank: 4, resourceIdCol: null, resourceNameCol: null }
+};
+
+/**
+ * Reads the expectation type registry from the "Valid Expectation Types" sheet.
+ * Each row names a type, its precedence rank (1 is the highest) and the Employee columns holding the
+ * resource ID and name it is set against. A type without a resource ID column applies to every agent.
+ * @returns {Array<Object>} The registry entries, highest precedence first.
+ * @throws {Error} If a rank or column is not a positive whole number.
+ */
+function _getExpectationTypeRegistry() {
+    return _withLock(() => {
+        const sheet = _getSheet(EXPECTATION_TYPES.SHEET_NAME);
+        const values = sheet.getRange(EXPECTATION_TYPES.HEADER_ROWS + 1, EXPECTATION_TYPES.TYPE_COL, sheet.getLastRow() - EXPECTATION_TYPES.HEADER_ROWS, EXPECTATION_TYPES.COL_SPAN).getValues();
+        return values
+            .filter(([expectationType]) => expectationType !== '')
+            .map((row, index) => _toExpectationTypeEntry(row, index))
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .map(({ order, ...entry }) => entry);
+    });
+}
+
+/**
+ * Converts a "Valid Expectation Types" row into a registry entry, filling blank cells from the built-in types.
+ * @param {Array<any>} row - The sheet row, starting at EXPECTATION_TYPES.TYPE_COL.
+ * @param {number} index - The position of the row, used to order types with the same rank.
+ * @returns {Object} The registry entry.
+ * @throws {Error} If a rank or column is not a positive whole number.
+ */
+function _toExpectationTypeEntry(row, index) {
+    const expectationType = String(row[EXPECTATION_TYPES.TYPE_COL - 1]).trim();
+    const builtIn = BUILT_IN_EXPECTATION_TYPES[expectationType] || { rank: index + 1, resourceIdCol: null, resourceNameCol: null };
+    const read = (col, fallback) => {
+        const value = row[col - 1];
+        if (value === '') return fallback;
+        if (!Number.isInteger(Number(value)) || Number(value) <= 0) throw new Error(`Invalid ${expectationType} Expectation Type Setting: ${value}`);
+        return Number(value);
+    };
+    const resourceIdCol = read(EXPECTATION_TYPES.RESOURCE_ID_COL, builtIn.resourceIdCol);
+    return {
+        expectationType: expectationType,
+        rank: read(EXPECTATION_TYPES.RANK_COL, builtIn.rank),
+        resourceIdCol: resourceIdCol,
+        resourceNameCol: resourceIdCol === null ? null : read(EXPECTATION_TYPES.RESOURCE_NAME_COL, builtIn.resourceNameCol || resourceIdCol),
+        appliesToAll: resourceIdCol === null,
+        perAgent: resourceIdCol === EMPLOYEES.ID_COL,
+        order: index
+    };
+}
+
+/**
+ * Reads the resource ID an employee has for an expectation type.
+ * @param {Object} employee - The employee object, as returned by _getEmployees.
+ * @param {Object} entry - The registry entry of the expectation type.
+ * @returns {any} The resource ID, or -1 for types that apply to every agent.
+ */
+function _getResourceId(employee, entry) {
+    return entry.appliesToAll ? -1 : employee.values[entry.resourceIdCol - 1];
+}
+
+/**
+ * Resolves the expectation that applies to an agent on a given date.
+ * @param {number|string} agentId - The employee ID of the agent.
+ * @param {Date|string} date - The date to resolve for. Strings are read as yyyy-MM-dd.
+ * @returns {Object} The effective targets and the precedence chain that produced them.
+ * @throws {Error} If the agent does not exist or the date is invalid.
+ */
+function _getEffectiveExpectation(agentId, date) {
+    const day = _toDay(date);
+    const employees = _getEmployees();
+    const employee = employees.find(employee => employee.id === Number(agentId));
+    if (!employee) throw new Error(`Agent ID ${agentId} does not exist.`);
+    const expectations = _getExpectations();
+    return _resolveExpectation(employee, expectations, day, _getExpectationTypeRegistry());
+}
+
+/**
+ * Resolves the expectation for an employee from already loaded expectations.
+ * Each expectation type is checked in precedence order; the first active expectation covering the day wins.
+ * @param {Object} employee - The employee object, as returned by _getEmployees.
+ * @param {Array<Object>} expectations - The expectations, as returned by _getExpectations.
+ * @param {string} day - The day to resolve for, as yyyy-MM-dd.
+ * @param {Array<Object>} registry - The expectation types, as returned by _getExpectationTypeRegistry.
+ * @returns {Object} The effective targets and the precedence chain that produced them.
+ */
+function _resolveExpectation(employee, expectations, day, registry) {
+    let applied = null;
+    const chain = registry.map(entry => {
+        const { expectationType, appliesToAll } = entry;
+        const resourceId = _getResourceId(employee, entry);
+        const match = expectations.find(expectation =>
+            expectation.active &&
+            expectation.expectationType === expectationType &&
+            (appliesToAll || Number(expectation.resourceId) === Number(resourceId)) &&
+            expectation.startDate <= day && day <= expectation.endDate
+        );
+        const link = { expectationType: expectationType, resourceId: resourceId, expectationId: match ? match.id : null, applied: false };
+        if (!match) {
+            link.reason = `No active ${expectationType} expectation covers ${day}.`;
+        } else if (applied) {
+            link.reason = `Overridden by ${applied.expectationType} expectation ${applied.id}.`;
+        } else {
+            applied = match;
+            link.applied = true;
+            link.reason = `${expectationType} expectation ${match.id} applies.`;
+        }
+        return link;
+    });
+
+    return {
+        agentId: employee.id,
+        agentName: employee.name,
+        workgroupId: employee.workgroupId,
+        jobProfileId: employee.jobProfileId,
+        date: day,
+        expectationId: applied ? applied.id : null,
+        expectationType: applied ? applied.expectationType : null,
+        performance: applied ? applied.performance : null,
+        oneToOne: applied ? applied.oneToOne : null,
+        sideBySide: applied ? applied.sideBySide : null,
+        startDate: applied ? applied.startDate : null,
+        endDate: applied ? applied.endDate : null,
+        chain: chain
+    };
+}
+
+/**
+ * Finds agents and other resources, such as workgroups and job profiles, that have no applicable expectation on one or more days of a period.
+ * Agents are resolved with the full precedence chain. Other resources are covered by an expectation of
+ * their own type or of a type that applies to every agent.
+ * @param {number} days - The number of days to check.
+ * @param {Date|string} fromDate - The first day to check. Strings are read as yyyy-MM-dd.
+ * @returns {{from: string, to: string, days: number, gaps: Array<Object>}} The period checked and a gap for each resource missing an expectation.
+ * @throws {Error} If days is not a positive whole number or the date is invalid.
+ */
+function _getExpectationGaps(days, fromDate) {
+    if (!Number.isInteger(Number(days)) || Number(days) <= 0) throw new Error(`Invalid Number of Days: ${days}`);
+    const start = Utilities.parseDate(_toDay(fromDate), 'EST', 'yyyy-MM-dd');
+    const period = Array.from({ length: Number(days) }, (_, index) => _toDateString(new Date(start.getTime() + index * 24 * 60 * 60 * 1000)));
+    const from = period[0];
+    const to = period[period.length - 1];
+
+    const agents = _getEmployees().filter(employee => employee.level !== '' && employee.level <= 1);
+    const expectations = _getExpectations().filter(expectation => expectation.active && expectation.startDate <= to && from <= expectation.endDate);
+    const registry = _getExpectationTypeRegistry();
+    const index = _indexExpectations(expectations);
+    const defaultExpectations = registry
+        .filter(({ appliesToAll }) => appliesToAll)
+        .flatMap(({ expectationType }) => index.byType.get(expectationType) || []);
+    const gaps = [];
+
+    agents.forEach(agent => {
+        const candidates = _getAgentExpectations(agent, index, registry);
+        const missing = _splitPeriod(period, candidates)
+            .filter(segment => _resolveExpectation(agent, candidates, segment.from, registry).expectationId === null);
+        if (missing.length > 0) gaps.push(_toExpectationGap('Agent', agent.id, agent.name, missing));
+    });
+
+    registry.filter(({ appliesToAll, perAgent }) => !appliesToAll && !perAgent).forEach(({ expectationType, resourceIdCol, resourceNameCol }) => {
+        const resources = new Map(agents.map(agent => [agent.values[resourceIdCol - 1], agent.values[resourceNameCol - 1]]));
+        resources.forEach((name, resourceId) => {
+            const candidates = defaultExpectations.concat(index.byResource.get(_toExpectationKey(expectationType, resourceId)) || []);
+            const missing = _splitPeriod(period, candidates)
+                .filter(segment => !candidates.some(expectation => expectation.startDate <= segment.from && segment.from <= expectation.endDate));
+            if (missing.length > 0) gaps.push(_toExpectationGap(expectationType, resourceId, name, missing));
+        });
+    });
+
+    return { from: from, to: to, days: period.length, gaps: gaps };
+}
+
+/**
+ * Resolves the expectations that apply to every agent across a period.
+ * Consecutive days resolved to the same expectation are grouped, so each agent has one entry per expectation that applied.
+ * @param {Date|string} fromDate - The first day of the period. Strings are read as yyyy-MM-dd.
+ * @param {Date|string} toDate - The last day of the period. Strings are read as yyyy-MM-dd.
+ * @returns {{from: string, to: string, days: number, agents: Array<Object>}} The period and, for each agent, its workgroup, job profile and the expectations that applied.
+ * @throws {Error} If either date is invalid, the period ends before it starts or it is longer than a year.
+ */
+function _getEffectiveExpectationPeriods(fromDate, toDate) {
+    const from = _toDay(fromDate);
+    const to = _toDay(toDate);
+    if (to < from) throw new Error(`Invalid Period: ${from} to ${to}`);
+    const start = Utilities.parseDate(from, 'EST', 'yyyy-MM-dd');
+    const period = [];
+    for (let day = from; day <= to; day = _toDateString(new Date(start.getTime() + period.length * 24 * 60 * 60 * 1000))) {
+        if (period.length === 366) throw new Error(`Invalid Period: ${from} to ${to} is longer than a year`);
+        period.push(day);
+    }
+
+    const agents = _getEmployees().filter(employee => employee.level !== '' && employee.level <= 1);
+    const expectations = _getExpectations().filter(expectation => expectation.active && expectation.startDate <= to && from <= expectation.endDate);
+    const registry = _getExpectationTypeRegistry();
+    const index = _indexExpectations(expectations);
+
+    return {
+        from: from,
+        to: to,
+        days: period.length,
+        agents: agents.map(agent => {
+            const candidates = _getAgentExpectations(agent, index, registry);
+            const periods = [];
+            _splitPeriod(period, candidates).forEach(segment => {
+                const resolved = _resolveExpectation(agent, candidates, segment.from, registry);
+                const last = periods[periods.length - 1];
+                if (last && last.expectationId === resolved.expectationId) {
+                    last.to = segment.to;
+                    last.days += segment.days;
+                    return;
+                }
+                periods.push({
+                    expectationId: resolved.expectationId,
+                    expectationType: resolved.expectationType,
+                    performance: resolved.performance,
+                    oneToOne: resolved.oneToOne,
+                    sideBySide: resolved.sideBySide,
+                    from: segment.from,
+                    to: segment.to,
+                    days: segment.days
+                });
+            });
+            return {
+                agentId: agent.id,
+                agentName: agent.name,
+                email: agent.email,
+                samAccountName: agent.samAccountName,
+                workgroupId: agent.workgroupId,
+                workgroupName: agent.workgroupName,
+                jobProfileId: agent.jobProfileId,
+                jobProfileName: agent.jobProfileName,
+                periods: periods
+            };
+        })
+    };
+}
+
+/**
+ * Indexes expectations by type and by type and resource, keeping their order, so each agent or resource
+ * only looks at its own expectations.
+ * @param {Array<Object>} expectations - The expectations, as returned by _getExpectations.
+ * @returns {{byType: Map<string, Array<Object>>, byResource: Map<string, Array<Object>>}} The expectations of each
+ *  type, and of each type and resource keyed by _toExpectationKey.
+ */
+function _indexExpectations(expectations) {
+    const index = { byType: new Map(), byResource: new Map() };
+    const add = (map, key, expectation) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(expectation);
+    };
+    expectations.forEach(expectation => {
+        add(index.byType, expectation.expectationType, expectation);
+        // A resource ID that is not a number never matches, as in _resolveExpectation
+        if (!isNaN(Number(expectation.resourceId))) {
+            add(index.byResource, _toExpectationKey(expectation.expectationType, expectation.resourceId), expectation);
+        }
+    });
+    return index;
+}
+
+/**
+ * Builds the key of an expectation type and resource in an expectation index.
+ * @param {string} expectationType - The expectation type.
+ * @param {any} resourceId - The resource ID.
+ * @returns {string} The key.
+ */
+function _toExpectationKey(expectationType, resourceId) {
+    return `${expectationType}|${Number(resourceId)}`;
+}
+
+/**
+ * Lists the expectations that could apply to an agent: those of each type set against the agent's resource,
+ * and every expectation of the types that apply to all agents.
+ * @param {Object} agent - The employee object, as returned by _getEmployees.
+ * @param {Object} index - The index returned by _indexExpectations.
+ * @param {Array<Object>} registry - The expectation types, as returned by _getExpectationTypeRegistry.
+ * @returns {Array<Object>} The expectations.
+ */
+function _getAgentExpectations(agent, index, registry) {
+    return registry.flatMap(entry => (entry.appliesToAll
+        ? index.byType.get(entry.expectationType)
+        : index.byResource.get(_toExpectationKey(entry.expectationType, _getResourceId(agent, entry)))) || []);
+}
+
+/**
+ * Splits a period into runs of days on which the same expectations are in effect, so each run only has to be resolved once.
+ * A run starts on the first day of the period and wherever one of the expectations starts or the day after one ends.
+ * @param {Array<string>} period - Every day of the period in order, as yyyy-MM-dd.
+ * @param {Array<Object>} expectations - The expectations that could apply.
+ * @returns {Array<{from: string, to: string, days: number}>} The runs, in order.
+ */
+function _splitPeriod(period, expectations) {
+    const positions = new Map(period.map((day, position) => [day, position]));
+    const starts = new Set([0]);
+    expectations.forEach(({ startDate, endDate }) => {
+        if (positions.has(startDate)) starts.add(positions.get(startDate));
+        if (positions.has(endDate)) starts.add(positions.get(endDate) + 1);
+    });
+    const sorted = [...starts].filter(position => position < period.length).sort((a, b) => a - b);
+    return sorted.map((position, index) => {
+        const end = index + 1 < sorted.length ? sorted[index + 1] - 1 : period.length - 1;
+        return { from: period[position], to: period[end], days: end - position + 1 };
+    });
+}
+
+/**
+ * Builds a gap report entry.
+ * @param {string} resourceType - The kind of resource: 'Agent' or the expectation type of the resource.
+ * @param {number} resourceId - The ID of the resource.
+ * @param {string} resourceName - The name of the resource.
+ * @param {Array<{from: string, days: number}>} missing - The runs of days without an applicable expectation, in order.
+ * @returns {{resourceType: string, resourceId: number, resourceName: string, firstGap: string, gapDays: number}} The gap.
+ */
+function _toExpectationGap(resourceType, resourceId, resourceName, missing) {
+    const gapDays = missing.reduce((total, { days }) => total + days, 0);
+    return { resourceType: resourceType, resourceId: resourceId, resourceName: resourceName, firstGap: missing[0].from, gapDays: gapDays };
+}
+
+/**
+ * Normalizes a date to the yyyy-MM-dd form used by expectation start and end dates.
+ * @param {Date|string} date - The date to normalize.
+ * @returns {string} The day as yyyy-MM-dd.
+ * @throws {Error} If the date is invalid.
+ */
+function _toDay(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    const parsed = date instanceof Date ? date : new Date(date);
+    if (isNaN(parsed)) throw new Error(`Invalid Date: ${date}`);
+    return _toDateString(parsed);
+}
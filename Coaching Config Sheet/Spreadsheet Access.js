@@ -23,8 +23,13 @@ const FORMS = {
     SIDE_BY_SIDE_COL: 5,
     UPDATED_BY_COL: 6,
     UPDATED_ON_COL: 7,
+    REMOVED_COL: 8,
+    REMOVED_BY_COL: 9,
+    REMOVED_ON_COL: 10,
     ROW_SPAN: 1,
-    COL_SPAN: 7
+    COL_SPAN: 7,
+    REMOVAL_COL_SPAN: 3,
+    REMOVAL_HEADERS: ['Removed', 'Removed By', 'Removed On']
 };
 const FORMS_DB = {
     SHEET_NAME: 'forms',
@@ -35,6 +40,50 @@ const FORMS_DB = {
     ROW_SPAN: 1,
     COL_SPAN: 3
 };
+const EXPECTATIONS = {
+    SHEET_NAME: 'tbl_coaching_expectations',
+    HEADER_ROWS: 2,
+    ID_COL: 1,
+    RESOURCE_ID_COL: 2,
+    PERFORMANCE_COL: 3,
+    ONE_TO_ONE_COL: 4,
+    SIDE_BY_SIDE_COL: 5,
+    START_DATE_COL: 6,
+    END_DATE_COL: 7,
+    TYPE_COL: 8,
+    ACTIVE_COL: 9,
+    CREATED_BY_COL: 10,
+    CREATED_ON_COL: 11,
+    UPDATED_BY_COL: 12,
+    UPDATED_ON_COL: 13,
+    ROW_SPAN: 1,
+    COL_SPAN: 13
+};
+const EMPLOYEES = {
+    SHEET_NAME: 'Employee',
+    HEADER_ROWS: 1,
+    ID_COL: 1,
+    NAME_COL: 2,
+    EMAIL_COL: 3,
+    LEVEL_COL: 4,
+    WORKGROUP_ID_COL: 5,
+    WORKGROUP_NAME_COL: 6,
+    JOB_PROFILE_ID_COL: 7,
+    JOB_PROFILE_NAME_COL: 8,
+    SAM_ACCOUNT_NAME_COL: 9,
+    ROW_SPAN: 1,
+    COL_SPAN: 9
+};
+const EXPECTATION_TYPES = {
+    SHEET_NAME: 'Valid Expectation Types',
+    HEADER_ROWS: 1,
+    TYPE_COL: 1,
+    RANK_COL: 2,
+    RESOURCE_ID_COL: 3,
+    RESOURCE_NAME_COL: 4,
+    ROW_SPAN: 1,
+    COL_SPAN: 4
+};
 const QUESTIONS_DB = {
     SHEET_NAME: 'questions',
     HEADER_ROWS: 1,
@@ -68,21 +117,20 @@ function _getCurrentUserID() {
 /**
  * Executes the given callback while managing a script lock.
  * @param {Function} callback - The callback to execute.
+ * @returns {*} The value returned by the callback.
  * @throws {Error} If the script lock cannot be acquired or if an error occurs while executing the callback.
  */
 function _withLock(callback) {
-    return new Promise((resolve, reject) => {
-        const lock = LockService.getScriptLock();
-        try {
-            lock.waitLock(LOCK_WAIT_TIME);
-            Promise.resolve(callback()).then(resolve).catch(reject);
-        } catch (error) {
-            Logger.log(error);
-            reject(error);
-        } finally {
-            lock.releaseLock();
-        }
-    });
+    const lock = LockService.getScriptLock();
+    try {
+        lock.waitLock(LOCK_WAIT_TIME);
+        return callback();
+    } catch (error) {
+        Logger.log(error);
+        throw error;
+    } finally {
+        lock.releaseLock();
+    }
 }
 
 
@@ -140,7 +188,7 @@ function _getRangeData(sheet, startRow, startCol, numRows, numCols) {
 
 /**
  * Retrieves an array of question IDs from the "tbl_coaching_questions" sheet.
- * @returns {Promise<Array<number>>} An array of question IDs.
+ * @returns {Array<number>} An array of question IDs.
  */
 function _getQuestionIDs() {
     return _withLock(() => {
@@ -151,17 +199,194 @@ function _getQuestionIDs() {
 }
 
 /**
- * Retrieves an array of form IDs from the "tbl_coaching_forms" sheet.
- * @returns {Promise<Array<number>>} An array of form IDs.
+ * Retrieves an array of form IDs from the "tbl_coaching_forms" sheet. Removed forms are not included.
+ * @returns {Array<number>} An array of form IDs.
  */
 function _getFormIDs() {
     return _withLock(() => {
         const sheet = _getSheet('tbl_coaching_forms');
-        const IDs = sheet.getRange("A3:A").getValues().flat().map(Number);
+        const IDs = sheet.getRange("A3:H").getValues()
+            .filter(row => row[FORMS.REMOVED_COL - 1] !== true)
+            .map(([id]) => Number(id));
         return IDs;
     });
 }
 
+/**
+ * Retrieves every configured form from the "tbl_coaching_forms" sheet. Removed forms are not included.
+ * @returns {Array<Object>} An array of form objects.
+ */
+function _getForms() {
+    return _withLock(() => {
+        const sheet = _getSheet(FORMS.SHEET_NAME);
+        const values = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS, FORMS.REMOVED_COL).getValues();
+        return values.filter(row => row[FORMS.ID_COL - 1] !== '' && row[FORMS.REMOVED_COL - 1] !== true).map(_toForm);
+    });
+}
+
+/**
+ * Retrieves every removed form from the "tbl_coaching_forms" sheet, with the coaching flags it had when it was removed.
+ * @returns {Array<Object>} An array of form objects, each with who removed it and when.
+ */
+function _getRemovedForms() {
+    return _withLock(() => {
+        const sheet = _getSheet(FORMS.SHEET_NAME);
+        const values = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS, FORMS.REMOVED_ON_COL).getValues();
+        return values
+            .filter(row => row[FORMS.ID_COL - 1] !== '' && row[FORMS.REMOVED_COL - 1] === true)
+            .map(row => ({
+                ..._toForm(row),
+                removedBy: row[FORMS.REMOVED_BY_COL - 1],
+                removedOn: row[FORMS.REMOVED_ON_COL - 1] instanceof Date
+                    ? Utilities.formatDate(row[FORMS.REMOVED_ON_COL - 1], 'EST', 'yyyy-MM-dd HH:mm')
+                    : row[FORMS.REMOVED_ON_COL - 1]
+            }));
+    });
+}
+
+/**
+ * Retrieves every configured question from the "tbl_coaching_questions" sheet.
+ * @returns {Array<Object>} An array of question objects.
+ */
+function _getQuestions() {
+    return _withLock(() => {
+        const sheet = _getSheet(QUESTIONS.SHEET_NAME);
+        const values = sheet.getRange(QUESTIONS.HEADER_ROWS + 1, QUESTIONS.ID_COL, sheet.getLastRow() - QUESTIONS.HEADER_ROWS, QUESTIONS.COL_SPAN).getValues();
+        return values.filter(([id]) => id !== '').map(_toQuestion);
+    });
+}
+
+/**
+ * Retrieves every expectation from the "tbl_coaching_expectations" sheet.
+ * @returns {Array<Object>} An array of expectation objects.
+ */
+function _getExpectations() {
+    return _withLock(() => {
+        const sheet = _getSheet(EXPECTATIONS.SHEET_NAME);
+        const values = sheet.getRange(EXPECTATIONS.HEADER_ROWS + 1, EXPECTATIONS.ID_COL, sheet.getLastRow() - EXPECTATIONS.HEADER_ROWS, EXPECTATIONS.COL_SPAN).getValues();
+        return values.filter(([id]) => id !== '').map(_toExpectation);
+    });
+}
+
+/**
+ * Retrieves every employee from the "Employee" sheet.
+ * Each employee also carries its whole row as values, so expectation types can read any column.
+ * @returns {Array<Object>} An array of employee objects.
+ */
+function _getEmployees() {
+    return _withLock(() => {
+        const sheet = _getSheet(EMPLOYEES.SHEET_NAME);
+        const columns = Math.max(EMPLOYEES.COL_SPAN, sheet.getLastColumn());
+        const values = sheet.getRange(EMPLOYEES.HEADER_ROWS + 1, EMPLOYEES.ID_COL, sheet.getLastRow() - EMPLOYEES.HEADER_ROWS, columns).getValues();
+        return values.filter(([id]) => id !== '').map(row => ({
+            id: Number(row[EMPLOYEES.ID_COL - 1]),
+            name: row[EMPLOYEES.NAME_COL - 1],
+            email: row[EMPLOYEES.EMAIL_COL - 1],
+            level: row[EMPLOYEES.LEVEL_COL - 1],
+            workgroupId: row[EMPLOYEES.WORKGROUP_ID_COL - 1],
+            workgroupName: row[EMPLOYEES.WORKGROUP_NAME_COL - 1],
+            jobProfileId: row[EMPLOYEES.JOB_PROFILE_ID_COL - 1],
+            jobProfileName: row[EMPLOYEES.JOB_PROFILE_NAME_COL - 1],
+            samAccountName: row[EMPLOYEES.SAM_ACCOUNT_NAME_COL - 1],
+            values: row
+        }));
+    });
+}
+
+/**
+ * Converts a "tbl_coaching_expectations" row into an expectation object.
+ * @param {Array<any>} row - The sheet row, starting at EXPECTATIONS.ID_COL.
+ * @returns {Object} The expectation object.
+ */
+function _toExpectation(row) {
+    return {
+        id: Number(row[EXPECTATIONS.ID_COL - 1]),
+        resourceId: row[EXPECTATIONS.RESOURCE_ID_COL - 1],
+        performance: row[EXPECTATIONS.PERFORMANCE_COL - 1],
+        oneToOne: row[EXPECTATIONS.ONE_TO_ONE_COL - 1],
+        sideBySide: row[EXPECTATIONS.SIDE_BY_SIDE_COL - 1],
+        startDate: _toDateString(row[EXPECTATIONS.START_DATE_COL - 1]),
+        endDate: _toDateString(row[EXPECTATIONS.END_DATE_COL - 1]),
+        expectationType: row[EXPECTATIONS.TYPE_COL - 1],
+        active: row[EXPECTATIONS.ACTIVE_COL - 1] === true,
+        createdBy: row[EXPECTATIONS.CREATED_BY_COL - 1],
+        createdOn: _toDateString(row[EXPECTATIONS.CREATED_ON_COL - 1]),
+        updatedBy: row[EXPECTATIONS.UPDATED_BY_COL - 1],
+        updatedOn: _toDateString(row[EXPECTATIONS.UPDATED_ON_COL - 1])
+    };
+}
+
+/**
+ * Converts a "tbl_coaching_forms" row into a form object.
+ * @param {Array<any>} row - The sheet row, starting at FORMS.ID_COL.
+ * @returns {Object} The form object.
+ */
+function _toForm(row) {
+    return {
+        id: Number(row[FORMS.ID_COL - 1]),
+        name: row[FORMS.NAME_COL - 1],
+        performance: row[FORMS.PERFORMANCE_COL - 1] === true,
+        oneToOne: row[FORMS.ONE_TO_ONE_COL - 1] === true,
+        sideBySide: row[FORMS.SIDE_BY_SIDE_COL - 1] === true,
+        updatedBy: row[FORMS.UPDATED_BY_COL - 1],
+        updatedOn: _toDateString(row[FORMS.UPDATED_ON_COL - 1])
+    };
+}
+
+/**
+ * Converts a "tbl_coaching_questions" row into a question object.
+ * @param {Array<any>} row - The sheet row, starting at QUESTIONS.ID_COL.
+ * @returns {Object} The question object.
+ */
+function _toQuestion(row) {
+    return {
+        id: Number(row[QUESTIONS.ID_COL - 1]),
+        formId: Number(row[QUESTIONS.FORM_ID_COL - 1]),
+        text: row[QUESTIONS.TEXT_COL - 1],
+        category: row[QUESTIONS.CATEGORY_COL - 1],
+        hidden: row[QUESTIONS.HIDDEN_COL - 1] === true,
+        updatedBy: row[QUESTIONS.UPDATED_BY_COL - 1],
+        updatedOn: _toDateString(row[QUESTIONS.UPDATED_ON_COL - 1])
+    };
+}
+
+/**
+ * Formats a sheet date cell the same way the "updated on" columns are written.
+ * @param {Date|string} value - The cell value.
+ * @returns {string} The date as yyyy-MM-dd, or the original value if it is not a date.
+ */
+function _toDateString(value) {
+    return value instanceof Date ? Utilities.formatDate(value, 'EST', 'yyyy-MM-dd') : value;
+}
+
+/**
+ * Converts a tbl_coaching_forms row to the form fields recorded in the audit log.
+ * @param {Array<any>} row - The row.
+ * @returns {{name: string, performance: boolean, oneToOne: boolean, sideBySide: boolean}} The audited fields.
+ */
+function _toAuditForm(row) {
+    return {
+        name: row[FORMS.NAME_COL - 1],
+        performance: row[FORMS.PERFORMANCE_COL - 1] === true,
+        oneToOne: row[FORMS.ONE_TO_ONE_COL - 1] === true,
+        sideBySide: row[FORMS.SIDE_BY_SIDE_COL - 1] === true
+    };
+}
+
+/**
+ * Converts a tbl_coaching_questions row to the question fields recorded in the audit log.
+ * @param {Array<any>} row - The row.
+ * @returns {{formId: number, text: string, category: string, hidden: boolean}} The audited fields.
+ */
+function _toAuditQuestion(row) {
+    return {
+        formId: Number(row[QUESTIONS.FORM_ID_COL - 1]),
+        text: String(row[QUESTIONS.TEXT_COL - 1]),
+        category: String(row[QUESTIONS.CATEGORY_COL - 1]),
+        hidden: row[QUESTIONS.HIDDEN_COL - 1] === true
+    };
+}
+
 /**
  * Returns the form ID associated with the given question ID.
  * @param {string} questionID - The ID of the question to retrieve the form ID for.
@@ -185,30 +410,30 @@ function _getFormID(questionID) {
  * @param {string} text - The text of the question.
  * @param {string} category - The category of the question.
  * @param {boolean} hidden - Whether the question is hidden or not.
- * @returns {Promise<void>} - Resolves if the update was successful, rejects with an error message otherwise.
+ * @param {{source: string, actor: string}} [audit] - Who made the change and where from, from _toAuditContext.
  */
-function _updateQuestion(questionId, text, category, hidden) {
+function _updateQuestion(questionId, text, category, hidden, audit = _toAuditContext()) {
     // Ensure all parameters are correct data types
     questionId = parseInt(questionId);
     text = text.toString();
     category = category.toString();
     hidden = Boolean(hidden);
-    return new Promise((resolve, reject) => {
-        if (!validateValue('Question ID', questionId)) throw new Error('Invalid Question ID');
-        if (!validateValue('Question Text', text)) throw new Error('Invalid Question Text');
-        if (!validateValue('Question Category', category)) throw new Error('Invalid Question Category');
-        if (!validateValue('Checkbox', hidden)) throw new Error('Invalid Hidden Checkbox Value');
-        _withLock(() => {
-            const sheet = _getSheet(QUESTIONS.SHEET_NAME);
-            const IDs = sheet.getRange(QUESTIONS.HEADER_ROWS + 1, QUESTIONS.ID_COL, sheet.getLastRow() - QUESTIONS.HEADER_ROWS).getValues().map(row => row[0]);
-            const row = IDs.indexOf(questionId) + QUESTIONS.HEADER_ROWS + 1;
-            const formId = sheet.getRange(row, 2).getValue();
-            const updatedBy = _getCurrentUserID();
-            const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
-            const newRow = [questionId, formId, text, category, hidden, updatedBy, updatedOn];
-            sheet.getRange(row, QUESTIONS.ID_COL, QUESTIONS.ROW_SPAN, QUESTIONS.COL_SPAN).setValues([newRow]);
-            resolve();
-        });
+    if (!validateValue('Question ID', questionId)) throw new Error('Invalid Question ID');
+    if (!validateValue('Question Text', text)) throw new Error('Invalid Question Text');
+    if (!validateValue('Question Category', category)) throw new Error('Invalid Question Category');
+    if (!validateValue('Checkbox', hidden)) throw new Error('Invalid Hidden Checkbox Value');
+    return _withLock(() => {
+        const sheet = _getSheet(QUESTIONS.SHEET_NAME);
+        const IDs = sheet.getRange(QUESTIONS.HEADER_ROWS + 1, QUESTIONS.ID_COL, sheet.getLastRow() - QUESTIONS.HEADER_ROWS).getValues().map(row => row[0]);
+        const row = IDs.indexOf(questionId) + QUESTIONS.HEADER_ROWS + 1;
+        const [existing] = sheet.getRange(row, QUESTIONS.ID_COL, QUESTIONS.ROW_SPAN, QUESTIONS.COL_SPAN).getValues();
+        const formId = existing[QUESTIONS.FORM_ID_COL - 1];
+        const updatedBy = _getCurrentUserID();
+        const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
+        const newRow = [questionId, formId, text, category, hidden, updatedBy, updatedOn];
+        sheet.getRange(row, QUESTIONS.ID_COL, QUESTIONS.ROW_SPAN, QUESTIONS.COL_SPAN).setValues([newRow]);
+        _appendChange(CHANGE_ENTITIES.QUESTION, questionId, CHANGE_ACTIONS.UPDATED);
+        _appendAudit(AUDIT_ENTITIES.QUESTION, questionId, CHANGE_ACTIONS.UPDATED, _toAuditQuestion(existing), _toAuditQuestion(newRow), audit);
     });
 }
 
@@ -218,39 +443,42 @@ function _updateQuestion(questionId, text, category, hidden) {
  * @param {boolean} performance - The value of the performance checkbox.
  * @param {boolean} oneToOne - The value of the one-to-one checkbox.
  * @param {boolean} SideBySide - The value of the side-by-side checkbox.
- * @returns {Promise<void>} - Resolves if the update was successful, rejects with an error otherwise.
+ * @param {{source: string, actor: string}} [audit] - Who made the change and where from, from _toAuditContext.
  */
-function _updateForm(formId, performance, oneToOne, SideBySide) {
+function _updateForm(formId, performance, oneToOne, SideBySide, audit = _toAuditContext()) {
     // Ensure all parameters are correct data types
     formId = parseInt(formId);
     performance = Boolean(performance);
     oneToOne = Boolean(oneToOne);
     SideBySide = Boolean(SideBySide);
-    return new Promise((resolve, reject) => {
-        if (!validateValue('Checkbox', performance)) throw new Error(new Error('Invalid Performance Checkbox Value'));
-        if (!validateValue('Checkbox', oneToOne)) throw new Error(new Error('Invalid One-to-One Checkbox Value'));
-        if (!validateValue('Checkbox', SideBySide)) throw new Error(new Error('Invalid Side-by-Side Checkbox Value'));
-        _withLock(() => {
-            const sheet = _getSheet('tbl_coaching_forms');
-            const IDs = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS).getValues().map(row => row[0]);
-            const row = IDs.indexOf(formId) + FORMS.HEADER_ROWS + 1;
-            const updatedBy = _getCurrentUserID();
-            const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
-            const formName = sheet.getRange(row, FORMS.NAME_COL).getValue();
-            const newRow = [formId, formName, performance, oneToOne, SideBySide, updatedBy, updatedOn];
-            sheet.getRange(row, FORMS.ID_COL, FORMS.ROW_SPAN, FORMS.COL_SPAN).setValues([newRow]);
-            resolve();
-        });
+    if (!validateValue('Checkbox', performance)) throw new Error(new Error('Invalid Performance Checkbox Value'));
+    if (!validateValue('Checkbox', oneToOne)) throw new Error(new Error('Invalid One-to-One Checkbox Value'));
+    if (!validateValue('Checkbox', SideBySide)) throw new Error(new Error('Invalid Side-by-Side Checkbox Value'));
+    return _withLock(() => {
+        const sheet = _getSheet('tbl_coaching_forms');
+        const IDs = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS).getValues().map(row => row[0]);
+        const row = IDs.indexOf(formId) + FORMS.HEADER_ROWS + 1;
+        if (sheet.getRange(row, FORMS.REMOVED_COL).getValue() === true) {
+            throw new Error(`Form ID ${formId} has been removed.`);
+        }
+        const updatedBy = _getCurrentUserID();
+        const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
+        const [existing] = sheet.getRange(row, FORMS.ID_COL, FORMS.ROW_SPAN, FORMS.COL_SPAN).getValues();
+        const formName = existing[FORMS.NAME_COL - 1];
+        const newRow = [formId, formName, performance, oneToOne, SideBySide, updatedBy, updatedOn];
+        sheet.getRange(row, FORMS.ID_COL, FORMS.ROW_SPAN, FORMS.COL_SPAN).setValues([newRow]);
+        _appendChange(CHANGE_ENTITIES.FORM, formId, CHANGE_ACTIONS.UPDATED);
+        _appendAudit(AUDIT_ENTITIES.FORM, formId, CHANGE_ACTIONS.UPDATED, _toAuditForm(existing), _toAuditForm(newRow), audit);
     });
 }
 
 /**
- * Returns an array of unused forms.
- * @returns {Promise<Array<{id: string, name: string}>>} An array of unused forms, where each form is an object with an id and a name.
+ * Returns an array of unused forms. Removed forms are not unused: they are restored with their previous settings instead of added again.
+ * @returns {Array<{id: string, name: string}>} An array of unused forms, where each form is an object with an id and a name.
  */
-async function _getUnusedForms() {
-    const activeForms = await _getFormIDs();
-    const formData = await _withLock(() => {
+function _getUnusedForms() {
+    const activeForms = [..._getFormIDs(), ..._getRemovedForms().map(form => form.id)];
+    const formData = _withLock(() => {
         const sheet = _getSheet(FORMS_DB.SHEET_NAME);
         const values = sheet.getRange(FORMS_DB.HEADER_ROWS + 1, FORMS_DB.ID_COL, sheet.getLastRow() - FORMS_DB.HEADER_ROWS, 2).getValues();
         return values;
@@ -262,15 +490,17 @@ async function _getUnusedForms() {
 /**
  * Adds a new form to the spreadsheet with the given form ID.
  * @param {number} formId - The ID of the form to add.
- * @throws {Error} If the form ID is invalid or already exists in the spreadsheet.
- * @returns {Promise<void>} A Promise that resolves when the form has been added.
+ * @param {{source: string, actor: string}} [audit] - Who made the change and where from, from _toAuditContext.
+ * @throws {Error} If the form ID is invalid, already exists in the spreadsheet or has been removed.
  */
-async function _addForm(formId) {
+function _addForm(formId, audit = _toAuditContext()) {
     const parsedFormId = parseInt(formId);
     if (!validateValue('Form ID', parsedFormId)) throw new Error('Invalid Form ID.');    
-    const existingFormIds = await _getFormIDs();
+    const existingFormIds = _getFormIDs();
     if (existingFormIds.includes(parsedFormId)) throw new Error(`Form ID ${parsedFormId} already exists.`);
-    return await _withLock(() => {
+    const removedForms = _getRemovedForms();
+    if (removedForms.some(form => form.id === parsedFormId)) throw new Error(`Form ID ${parsedFormId} has been removed. Restore it instead.`);
+    return _withLock(() => {
         const sheet = _getSheet(FORMS_DB.SHEET_NAME);
         const values = sheet.getRange(FORMS_DB.HEADER_ROWS + 1, FORMS_DB.ID_COL, sheet.getLastRow() - FORMS_DB.HEADER_ROWS, 2).getValues();
         const [forminfo] = values.filter(([id]) => id === parsedFormId);
@@ -278,46 +508,85 @@ async function _addForm(formId) {
         const newRow = [parsedFormId, name, false, false, false, _getCurrentUserID(), Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd')];
         const targetSheet = _getSheet(FORMS.SHEET_NAME);
         targetSheet.appendRow(newRow);
+        _appendChange(CHANGE_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.CREATED);
+        _appendAudit(AUDIT_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.CREATED, null, _toAuditForm(newRow), audit);
     });
 }
 
-async function _addQuestion(questionId, text, category, hidden) {
+function _addQuestion(questionId, text, category, hidden, audit = _toAuditContext()) {
     // Ensure all parameters are correct data types
     questionId = parseInt(questionId);
     text = text.toString();
     category = category.toString();
     hidden = Boolean(hidden);    
-    const sheet = await _getSheet(QUESTIONS.SHEET_NAME);
-    const formId = await _getFormID(questionId);
-    const updatedBy = await _getCurrentUserID();
-    return new Promise((resolve, reject) => {
-        if (!validateValue('Question Text', text)) throw new Error('Invalid Question Text');
-        if (!validateValue('Question Category', category)) throw new Error('Invalid Question Category');
-        if (!validateValue('Checkbox', hidden)) throw new Error('Invalid Hidden Checkbox Value');
-        _withLock(() => {
-            const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
-            const newRow = [questionId, formId, text, category, hidden, updatedBy, updatedOn];
-            sheet.appendRow(newRow);
-            resolve();
-        });
+    const sheet = _getSheet(QUESTIONS.SHEET_NAME);
+    const formId = _getFormID(questionId);
+    const updatedBy = _getCurrentUserID();
+    if (!validateValue('Question Text', text)) throw new Error('Invalid Question Text');
+    if (!validateValue('Question Category', category)) throw new Error('Invalid Question Category');
+    if (!validateValue('Checkbox', hidden)) throw new Error('Invalid Hidden Checkbox Value');
+    return _withLock(() => {
+        const updatedOn = Utilities.formatDate(new Date(), 'EST', 'yyyy-MM-dd');
+        const newRow = [questionId, formId, text, category, hidden, updatedBy, updatedOn];
+        sheet.appendRow(newRow);
+        _appendChange(CHANGE_ENTITIES.QUESTION, questionId, CHANGE_ACTIONS.CREATED);
+        _appendAudit(AUDIT_ENTITIES.QUESTION, questionId, CHANGE_ACTIONS.CREATED, null, _toAuditQuestion(newRow), audit);
     });
 }
 
 /**
- * Removes a form with the given ID from the sheet.
+ * Removes a form with the given ID. The row is kept and flagged as removed, with who removed it and when,
+ * so the form can be restored with its coaching flags.
  * @param {string} formId - The ID of the form to remove.
+ * @param {{source: string, actor: string}} [audit] - Who made the change and where from, from _toAuditContext.
  * @throws {Error} If the form ID is invalid or does not exist.
- * @returns {Promise<void>} A Promise that resolves when the form is successfully removed.
  */
-async function _removeForm(formId) {
+function _removeForm(formId, audit = _toAuditContext()) {
     const parsedFormId = parseInt(formId);
     if (!validateValue('Form ID', parsedFormId)) throw new Error('Invalid Form ID.');
-    const existingFormIds = await _getFormIDs();
+    const existingFormIds = _getFormIDs();
     if (!existingFormIds.includes(parsedFormId)) throw new Error(`Form ID ${parsedFormId} does not exist.`);
-    return await _withLock(() => {
+    return _withLock(() => {
         const sheet = _getSheet(FORMS.SHEET_NAME);
         const IDs = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS).getValues().map(row => row[0]);
         const row = IDs.indexOf(parsedFormId) + FORMS.HEADER_ROWS + 1;
-        sheet.deleteRow(row);
+        const [existing] = sheet.getRange(row, FORMS.ID_COL, FORMS.ROW_SPAN, FORMS.COL_SPAN).getValues();
+        _setFormRemovalHeaders(sheet);
+        sheet.getRange(row, FORMS.REMOVED_COL, FORMS.ROW_SPAN, FORMS.REMOVAL_COL_SPAN).setValues([[true, audit.actor, new Date()]]);
+        _appendChange(CHANGE_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.REMOVED);
+        _appendAudit(AUDIT_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.REMOVED, _toAuditForm(existing), null, audit);
     });
+}
+
+/**
+ * Restores a removed form with the coaching flags it had when it was removed.
+ * @param {string} formId - The ID of the form to restore.
+ * @param {{source: string, actor: string}} [audit] - Who made the change and where from, from _toAuditContext.
+ * @throws {Error} If the form ID is invalid or the form has not been removed.
+ */
+function _restoreForm(formId, audit = _toAuditContext()) {
+    const parsedFormId = parseInt(formId);
+    if (!validateValue('Form ID', parsedFormId)) throw new Error('Invalid Form ID.');
+    const removedForms = _getRemovedForms();
+    if (!removedForms.some(form => form.id === parsedFormId)) throw new Error(`Form ID ${parsedFormId} has not been removed.`);
+    return _withLock(() => {
+        const sheet = _getSheet(FORMS.SHEET_NAME);
+        const IDs = sheet.getRange(FORMS.HEADER_ROWS + 1, FORMS.ID_COL, sheet.getLastRow() - FORMS.HEADER_ROWS).getValues().map(row => row[0]);
+        const row = IDs.indexOf(parsedFormId) + FORMS.HEADER_ROWS + 1;
+        const [existing] = sheet.getRange(row, FORMS.ID_COL, FORMS.ROW_SPAN, FORMS.COL_SPAN).getValues();
+        sheet.getRange(row, FORMS.REMOVED_COL, FORMS.ROW_SPAN, FORMS.REMOVAL_COL_SPAN).setValues([['', '', '']]);
+        _appendChange(CHANGE_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.CREATED);
+        _appendAudit(AUDIT_ENTITIES.FORM, parsedFormId, CHANGE_ACTIONS.CREATED, null, _toAuditForm(existing), audit);
+    });
+}
+
+/**
+ * Labels the removal columns of the "tbl_coaching_forms" sheet if they have not been labelled yet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The "tbl_coaching_forms" sheet.
+ */
+function _setFormRemovalHeaders(sheet) {
+    const headers = sheet.getRange(FORMS.HEADER_ROWS, FORMS.REMOVED_COL, 1, FORMS.REMOVAL_COL_SPAN);
+    if (headers.getValues()[0].every(header => header === '')) {
+        headers.setValues([FORMS.REMOVAL_HEADERS]);
+    }
 }
\ No newline at end of file
@@ -107,9 +107,9 @@ class QuestionIdValidator extends Validator {
      * @param {string} value - The value to be validated.
      * @returns {boolean} - Returns true if the value is a valid question ID, otherwise returns false.
      */
-    async validate(value) {
+    validate(value) {
         const ID = parseInt(value);
-        const IDs = await _getQuestionIDs();
+        const IDs = _getQuestionIDs();
         return IDs.includes(ID);
     }
 }
@@ -125,9 +125,9 @@ class FormIdValidator extends Validator {
      * @param {string} value - The value to be validated.
      * @returns {boolean} - Returns true if the value is a valid form ID, otherwise returns false.
      */
-    async validate(value) {
+    validate(value) {
         const ID = parseInt(value);
-        const IDs = await _getFormIDs();
+        const IDs = _getFormIDs();
         return IDs.includes(ID);
     }
 }
@@ -0,0 +1,258 @@
+/**
+ * Where requests for a role are stored until an admin approves or denies them.
+ * @type {Object}
+ */
+const ACCESS_REQUESTS = {
+    SHEET_NAME: 'tbl_access_requests',
+    HEADERS: ['ID', 'Status', 'Email', 'Role', 'Justification', 'Requested On', 'Reviewed By', 'Reviewed On', 'Comment']
+};
+
+/**
+ * The states an access request can be in.
+ * @type {Object<string, string>}
+ */
+const ACCESS_REQUEST_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DENIED: 'denied'
+};
+
+/**
+ * Returns the current user's role and the access requests they have made.
+ * @async
+ * @returns {Promise<{role: string, requests: Array<Object>}>} The role and the requests, newest first.
+ */
+async function getMyAccessRequests() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const email = Session.getActiveUser().getEmail();
+    return {
+        role: getUserRole(),
+        requests: loadAccessRequests_()
+            .map(({ request }) => request)
+            .filter(request => request.email === email)
+            .reverse()
+    };
+}
+
+/**
+ * Asks the admins for a role. Users can have one pending request at a time.
+ * @async
+ * @param {string} role - The role wanted.
+ * @param {string} justification - Why the user needs it.
+ * @returns {Promise<Object>} The request.
+ * @throws {Error} If the role is invalid or already held, no justification is given or the user already has a pending request.
+ */
+async function requestAccess(role, justification) {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    if (!Object.values(ROLES).includes(role) || role === ROLES.VIEWER) {
+        throw new Error("Invalid role specified");
+    }
+    if (role === getUserRole()) {
+        throw new Error(`You already have the ${role} role`);
+    }
+    if (!justification || !String(justification).trim()) {
+        throw new Error("A justification is required");
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const email = Session.getActiveUser().getEmail();
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let request;
+    try {
+        const requests = loadAccessRequests_();
+        if (requests.some(({ request }) => request.email === email && request.status === ACCESS_REQUEST_STATUS.PENDING)) {
+            throw new Error("You already have a pending access request");
+        }
+        request = {
+            id: requests.length > 0 ? Math.max(...requests.map(({ request }) => request.id)) + 1 : 1,
+            status: ACCESS_REQUEST_STATUS.PENDING,
+            email: email,
+            role: role,
+            justification: String(justification).trim(),
+            requestedOn: new Date().toISOString(),
+            reviewedBy: '',
+            reviewedOn: '',
+            comment: ''
+        };
+        getAccessRequestSheet_().appendRow(toAccessRequestRow_(request));
+    } finally {
+        lock.releaseLock();
+    }
+
+    logActivity(`Requested the ${role} role (request ${request.id})`);
+    return request;
+}
+
+/**
+ * Returns every access request for the Admin page.
+ * @async
+ * @returns {Promise<Array<Object>>} The requests, newest first.
+ * @throws {Error} If the current user cannot manage users.
+ */
+async function getAccessRequests() {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    return loadAccessRequests_().map(({ request }) => request).reverse();
+}
+
+/**
+ * Approves a pending access request and grants the role, following the same rules as addNewUser.
+ * @async
+ * @param {number|string} requestId - The ID of the request.
+ * @param {string} [comment] - An optional comment for the requester.
+ * @returns {Promise<Object>} The approved request.
+ * @throws {Error} If the current user cannot manage users or grant the role, made the request, or the request is not pending.
+ */
+async function approveAccessRequest(requestId, comment = '') {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let request;
+    let previous;
+    let grant;
+    try {
+        const found = findPendingAccessRequest_(requestId);
+        request = found.request;
+        previous = findUserGrant_(request.email);
+        grant = saveUserGrant_(request.email, request.role, validateNewUser(request.email, request.role, ''));
+        reviewAccessRequest_(found, ACCESS_REQUEST_STATUS.APPROVED, comment);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordUserGrantChange_(request.email, previous, grant);
+    logActivity(`Approved access request ${request.id}: granted ${request.role} to ${request.email}`);
+    return request;
+}
+
+/**
+ * Denies a pending access request without changing the requester's role.
+ * @async
+ * @param {number|string} requestId - The ID of the request.
+ * @param {string} comment - Why the request was denied.
+ * @returns {Promise<Object>} The denied request.
+ * @throws {Error} If the current user cannot manage users, made the request, no comment is given or the request is not pending.
+ */
+async function denyAccessRequest(requestId, comment) {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    if (!comment || !String(comment).trim()) {
+        throw new Error("A comment is required to deny an access request");
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        const found = findPendingAccessRequest_(requestId);
+        reviewAccessRequest_(found, ACCESS_REQUEST_STATUS.DENIED, comment);
+        logActivity(`Denied access request ${found.request.id}`);
+        return found.request;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Finds a pending access request.
+ * @param {number|string} requestId - The ID of the request.
+ * @returns {{request: Object, sheetRow: number}} The request and its row on the access requests sheet.
+ * @throws {Error} If the request does not exist, is not pending or was made by the current user.
+ */
+function findPendingAccessRequest_(requestId) {
+    const found = loadAccessRequests_().find(({ request }) => request.id === Number(requestId));
+    if (!found) {
+        throw new Error(`Access request ${requestId} not found.`);
+    }
+    if (found.request.status !== ACCESS_REQUEST_STATUS.PENDING) {
+        throw new Error(`Access request ${requestId} has already been ${found.request.status}.`);
+    }
+    if (found.request.email === Session.getActiveUser().getEmail()) {
+        throw new Error("You cannot review your own access request");
+    }
+    return found;
+}
+
+/**
+ * Marks an access request as reviewed and saves it.
+ * @param {{request: Object, sheetRow: number}} found - The request and its row on the access requests sheet.
+ * @param {string} status - The new status, one of ACCESS_REQUEST_STATUS.
+ * @param {string} [comment] - An optional comment from the reviewer.
+ */
+function reviewAccessRequest_({ request, sheetRow }, status, comment) {
+    request.status = status;
+    request.reviewedBy = Session.getActiveUser().getEmail();
+    request.reviewedOn = new Date().toISOString();
+    request.comment = comment ? String(comment).trim() : '';
+    getAccessRequestSheet_().getRange(sheetRow, 1, 1, ACCESS_REQUESTS.HEADERS.length).setValues([toAccessRequestRow_(request)]);
+}
+
+/**
+ * Loads every access request from the access requests sheet.
+ * @returns {Array<{request: Object, sheetRow: number}>} The requests and their rows, oldest first.
+ */
+function loadAccessRequests_() {
+    const sheet = getAccessRequestSheet_();
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, ACCESS_REQUESTS.HEADERS.length).getValues()
+        .map((row, index) => ({
+            sheetRow: index + 2,
+            request: {
+                id: Number(row[0]),
+                status: row[1],
+                email: row[2],
+                role: row[3],
+                justification: row[4],
+                requestedOn: row[5],
+                reviewedBy: row[6],
+                reviewedOn: row[7],
+                comment: row[8]
+            }
+        }));
+}
+
+/**
+ * Converts an access request to a row on the access requests sheet.
+ * @param {Object} request - The request.
+ * @returns {Array<any>} The row.
+ */
+function toAccessRequestRow_(request) {
+    return [
+        request.id,
+        request.status,
+        request.email,
+        request.role,
+        request.justification,
+        request.requestedOn,
+        request.reviewedBy,
+        request.reviewedOn,
+        request.comment
+    ];
+}
+
+/**
+ * Returns the access requests sheet, creating it if needed. Dates are stored as ISO text so the sheet does not convert them.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The access requests sheet.
+ */
+function getAccessRequestSheet_() {
+    const ss = SpreadsheetApp.openById(COACHING_SHEET);
+    let sheet = ss.getSheetByName(ACCESS_REQUESTS.SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(ACCESS_REQUESTS.SHEET_NAME);
+        sheet.getRange(1, 1, 1, ACCESS_REQUESTS.HEADERS.length).setValues([ACCESS_REQUESTS.HEADERS]);
+        sheet.getRange('A:I').setNumberFormat('@');
+    }
+    return sheet;
+}
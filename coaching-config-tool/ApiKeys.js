@@ -0,0 +1,65 @@
+/**
+ * Throws unless the active user can manage owner settings. API keys can only be managed by owners.
+ * @throws {Error} If the current user is not an owner.
+ */
+function validateApiKeyManager() {
+  validatePermission(PERMISSIONS.OWNER_SETTINGS_MANAGE);
+}
+
+/**
+ * Lists the API keys issued for the coaching config API.
+ * @returns {Promise<Array<Object>>} The API key records, without secrets.
+ * @throws {Error} If the current user is not an owner.
+ */
+async function listApiKeys() {
+  validateApiKeyManager();
+  return await CoachingDashboard.getApiKeys();
+}
+
+/**
+ * Returns the scopes that can be granted to an API key.
+ * @returns {Array<string>} The API scopes.
+ * @throws {Error} If the current user is not an owner.
+ */
+function listApiScopes() {
+  validateApiKeyManager();
+  return CoachingDashboard.getApiScopes();
+}
+
+/**
+ * Issues a new API key.
+ * @param {string} client - A name identifying the team or job that will use the key.
+ * @param {Array<string>} scopes - The scopes granted to the key.
+ * @returns {Promise<Object>} The key record including the plain text key, which is only shown once.
+ * @throws {Error} If the current user is not an owner or the key could not be issued.
+ */
+async function issueApiKey(client, scopes) {
+  validateApiKeyManager();
+  const apiKey = await CoachingDashboard.issueApiKey(client, scopes);
+  logActivity(`Issued API key ${apiKey.id} for ${client} (${scopes.join(', ')})`);
+  return apiKey;
+}
+
+/**
+ * Rotates the secret of an API key.
+ * @param {number} keyId - The ID of the key to rotate.
+ * @returns {Promise<Object>} The key record including the new plain text key.
+ * @throws {Error} If the current user is not an owner or the key could not be rotated.
+ */
+async function rotateApiKey(keyId) {
+  validateApiKeyManager();
+  const apiKey = await CoachingDashboard.rotateApiKey(keyId);
+  logActivity(`Rotated API key ${keyId}`);
+  return apiKey;
+}
+
+/**
+ * Revokes an API key.
+ * @param {number} keyId - The ID of the key to revoke.
+ * @throws {Error} If the current user is not an owner or the key could not be revoked.
+ */
+async function revokeApiKey(keyId) {
+  validateApiKeyManager();
+  await CoachingDashboard.revokeApiKey(keyId);
+  logActivity(`Revoked API key ${keyId}`);
+}
@@ -0,0 +1,49 @@
+/**
+ * Where a change can be requested from, as recorded in the audit log. API changes are recorded by the library.
+ * @type {Object<string, string>}
+ */
+const AUDIT_SOURCES = {
+    UI: 'ui',
+    QUEUE: 'queue',
+    TRIGGER: 'trigger'
+};
+
+/**
+ * Where the changes made during this execution were requested from. Queued jobs and triggers set it before changing anything.
+ * @type {string}
+ */
+let AUDIT_SOURCE = AUDIT_SOURCES.UI;
+
+/**
+ * Returns the audit log entries matching the given filters, newest first.
+ * @async
+ * @param {Object} filters - The actor (text the email contains), entity, entity ID and date range (from and to, as yyyy-MM-dd). Every filter is optional.
+ * @returns {Promise<Array<Object>>} The entries, each with the value of every changed field before and after.
+ * @throws {Error} If the current user cannot read the audit log or a date is invalid.
+ */
+async function getAuditLog(filters) {
+    validatePermission(PERMISSIONS.AUDIT_READ);
+    const { actor, entity, entityId, from, to } = filters || {};
+    [from, to].filter(Boolean).forEach(date => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid date: ${date}`);
+    });
+    return await CoachingDashboard.getAuditLog({ actor, entity, entityId, from, to });
+}
+
+/**
+ * Records a change in the audit log, with the current user as the actor.
+ * The change has already been saved, so a failure here is logged instead of thrown.
+ * @async
+ * @param {string} entity - The kind of entity that changed: 'form', 'question', 'expectation' or 'user'.
+ * @param {number|string} entityId - The ID of the entity that changed.
+ * @param {string} action - What happened to the entity ('created', 'updated' or 'removed').
+ * @param {Object|null} before - The entity's fields before the change, or null if it was created.
+ * @param {Object|null} after - The entity's fields after the change, or null if it was removed.
+ */
+async function recordAudit_(entity, entityId, action, before, after) {
+    try {
+        await CoachingDashboard.recordAudit(entity, entityId, action, before, after, AUDIT_SOURCE);
+    } catch (error) {
+        Logger.log(`Unable to record audit entry for ${entity} ${entityId}: ${error}`);
+    }
+}
@@ -2,7 +2,36 @@
 const ROLES = {
     OWNER: 'owner',
     ADMIN: 'admin',
-    EDITOR: 'editor'
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+};
+
+/**
+ * The permissions server functions check before doing anything.
+ * Read permissions are named after the API key scopes covering the same data.
+ * @type {Object<string, string>}
+ */
+const PERMISSIONS = {
+    CONFIG_READ: 'config:read',
+    CONFIG_WRITE: 'config:write',
+    EXPECTATIONS_WRITE: 'expectations:write',
+    EXPECTATIONS_APPROVE: 'expectations:approve',
+    FORMS_WRITE: 'forms:write',
+    USERS_MANAGE: 'users:manage',
+    AUDIT_READ: 'audit:read',
+    AUDIT_RESTORE: 'audit:restore',
+    OWNER_SETTINGS_MANAGE: 'owner-settings:manage'
+};
+
+/**
+ * The permissions granted to each role. Users who have not been given a role are viewers.
+ * @type {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+    [ROLES.OWNER]: Object.values(PERMISSIONS),
+    [ROLES.ADMIN]: [PERMISSIONS.CONFIG_READ, PERMISSIONS.CONFIG_WRITE, PERMISSIONS.EXPECTATIONS_WRITE, PERMISSIONS.EXPECTATIONS_APPROVE, PERMISSIONS.FORMS_WRITE, PERMISSIONS.USERS_MANAGE, PERMISSIONS.AUDIT_READ, PERMISSIONS.AUDIT_RESTORE],
+    [ROLES.EDITOR]: [PERMISSIONS.CONFIG_READ, PERMISSIONS.EXPECTATIONS_WRITE, PERMISSIONS.FORMS_WRITE],
+    [ROLES.VIEWER]: [PERMISSIONS.CONFIG_READ]
 };
 
 function doGet(e) {
@@ -28,13 +57,11 @@ function include(filename) {
 
 function injectRole(template) {
   const email = Session.getActiveUser().getEmail();
-  const role = authenticate(email);
-  const isOwner = (role === ROLES.OWNER);
-  const isAdmin = (isOwner || role === ROLES.ADMIN);
-  const isEditor = (isAdmin || role === ROLES.EDITOR);
-  template.isOwner = isOwner;
-  template.isAdmin = isAdmin;
-  template.isEditor = isEditor;
+  const permissions = ROLE_PERMISSIONS[authenticate(email)] || [];
+  template.isOwner = permissions.includes(PERMISSIONS.OWNER_SETTINGS_MANAGE);
+  template.isAdmin = permissions.includes(PERMISSIONS.USERS_MANAGE);
+  template.isEditor = permissions.includes(PERMISSIONS.EXPECTATIONS_WRITE);
+  template.permissions = permissions;
   return template;
 }
 
@@ -58,145 +85,187 @@ function logActivity(activity){
   Logger.log(userEmail + ": " + activity);
 }
 
-function calculateStringPropertySpaceUsed(propertyValue) {
-  const propertySize = propertyValue.length;
-  let propertySpaceUsed, propertySpaceLeft, unit;
-
-  if (propertySize < 1024) {
-    propertySpaceUsed = propertySize;
-    propertySpaceLeft = 1024 - propertySize;
-    unit = 'bytes';
-  } else {
-    propertySpaceUsed = (propertySize / 1024).toFixed(2);
-    propertySpaceLeft = (9 - propertySpaceUsed).toFixed(2);
-    unit = 'KB';
-  }
-
-  Logger.log(`String property space used: ${propertySpaceUsed} ${unit}`);
-  Logger.log(`String property space left: ${propertySpaceLeft} ${unit}`);
-  Logger.log(`Space used: ${((propertySpaceUsed / propertySpaceLeft) * 100).toFixed(2)}%`)
-}
-
 /****************************************************************************
  * Authentication Start
  ****************************************************************************/
 
 /**
- * Retrieves the list of users from the script properties and returns it as a JSON object.
- * If no users are found, returns an empty object.
- * @returns {Object} - The list of users as a JSON object.
+ * Retrieves the list of users for the Admin page.
+ * @returns {Object} - The role of each user, keyed by email address.
+ * @throws {Error} - If the current user cannot manage users.
  */
 function getUsers() {
-    const properties = PropertiesService.getScriptProperties();
-    const users = properties.getProperty('users');
-    return users ? JSON.parse(users) : {};
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    return loadUsers_();
 }
 
 /**
- * Adds a new user to the list of users with the specified email and role.
+ * Grants a role to a new user, replacing any role they already have.
+ * @async
  * @param {string} email - The email address of the new user.
  * @param {string} role - The role to assign to the new user.
- * @returns {void}
- * @throws {Error} - If the email or role parameters are not provided, if the role parameter is invalid, or if the user is not an admin.
+ * @param {string} [expiresOn] - The last day the role applies, as yyyy-MM-dd. Leave blank for a role that does not expire.
+ * @returns {Promise<Object>} - The saved grant.
+ * @throws {Error} - If the email or role parameters are not provided, if the role or expiry date is invalid, or if the user cannot manage users.
  */
-function addNewUser(email, role) {
+async function addNewUser(email, role, expiresOn = '') {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    const expiry = validateNewUser(email, role, expiresOn);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let previous;
+    let grant;
     try {
-        validateAdmin();
-
-        if (!email || !role) {
-            throw new Error("Both email and role are required");
-        }
+        previous = findUserGrant_(email);
+        grant = saveUserGrant_(email, role, expiry);
+    } finally {
+        lock.releaseLock();
+    }
 
-        if (!Object.values(ROLES).includes(role)) {
-            throw new Error("Invalid role specified");
-        }
+    await recordUserGrantChange_(email, previous, grant);
+    logActivity(`Granted ${role} to ${email}${expiry ? ` until ${expiry}` : ''}`);
+    return grant;
+}
 
-        if (role === ROLES.OWNER && !validateOwner()) {
-            throw new Error("Only the current owner can modify owners");
-        }
+/**
+ * Checks that the current user can grant a role to a new user. Only the owner can grant the owner role.
+ * @param {string} email - The email address of the new user.
+ * @param {string} role - The role to assign to the new user.
+ * @param {string} expiresOn - The last day the role applies, as yyyy-MM-dd, or blank for no expiry.
+ * @returns {string} - The expiry date, or blank.
+ * @throws {Error} - If the email or role parameters are not provided, or if the role or expiry date is invalid.
+ */
+function validateNewUser(email, role, expiresOn) {
+    if (!email || !role) {
+        throw new Error("Both email and role are required");
+    }
 
-        const properties = PropertiesService.getScriptProperties();
-        let users = getUsers();
-        users[email] = role;
+    if (!Object.values(ROLES).includes(role)) {
+        throw new Error("Invalid role specified");
+    }
 
-        properties.setProperty('users', JSON.stringify(users));
-        calculateStringPropertySpaceUsed('users');
-    } catch (err) {
-        throw err;
+    if (role === ROLES.OWNER && !validateOwner()) {
+        throw new Error("Only the current owner can modify owners");
     }
+
+    return validateGrantExpiry(expiresOn);
 }
 
 /**
  * Edits the role of a user based on their email address.
+ * @async
  * @param {string} email - The email address of the user to edit.
  * @param {string} newRole - The new role to assign to the user.
- * @returns {void}
- * @throws {Error} - If the email or newRole parameters are not provided, if the newRole parameter is invalid, or if the user does not exist.
+ * @param {string} [expiresOn] - The last day the role applies, as yyyy-MM-dd, or blank for no expiry. Keeps the current expiry date if omitted.
+ * @returns {Promise<Object>} - The saved grant.
+ * @throws {Error} - If the email or newRole parameters are not provided, if the newRole parameter or expiry date is invalid, or if the user does not exist.
  */
-function editUser(email, newRole) {
-    try {
-        validateAdmin();
+async function editUser(email, newRole, expiresOn) {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
 
-        if (!email || !newRole) {
-            throw new Error("Both email and newRole are required");
-        }
+    if (!email || !newRole) {
+        throw new Error("Both email and newRole are required");
+    }
 
-        if (!Object.values(ROLES).includes(newRole)) {
-            throw new Error("Invalid role specified");
-        }
+    if (!Object.values(ROLES).includes(newRole)) {
+        throw new Error("Invalid role specified");
+    }
 
-        if (newRole === ROLES.OWNER && !validateOwner()) {
-            throw new Error("Only the current owner can modify owners");
-        }
+    if (newRole === ROLES.OWNER && !validateOwner()) {
+        throw new Error("Only the current owner can modify owners");
+    }
 
-        let users = getUsers();
-        if (!users[email]) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let previous;
+    let grant;
+    try {
+        previous = findUserGrant_(email);
+        if (!previous) {
             throw new Error("User does not exist");
         }
 
-        users[email] = newRole;
-        PropertiesService.getScriptProperties().setProperty('users', JSON.stringify(users));
-        calculateStringPropertySpaceUsed('users');
-    } catch (err) {
-        throw err;
+        const expiry = expiresOn === undefined || expiresOn === null ? previous.expiresOn : validateGrantExpiry(expiresOn);
+        grant = saveUserGrant_(email, newRole, expiry);
+    } finally {
+        lock.releaseLock();
     }
+
+    await recordUserGrantChange_(email, previous, grant);
+    logActivity(`Changed ${email} to ${grant.role}${grant.expiresOn ? ` until ${grant.expiresOn}` : ''}`);
+    return grant;
 }
 
 /**
- * Removes a user from the list of users based on their email address.
+ * Removes a user's role based on their email address.
+ * @async
  * @param {string} email - The email address of the user to remove.
- * @returns {void}
+ * @returns {Promise<void>}
  * @throws {Error} - If the email parameter is not provided or if the user does not exist.
  */
-function removeUser(email) {
-    try {
-        validateAdmin();
+async function removeUser(email) {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
 
-        if (!email) {
-            throw new Error("Email is required");
-        }
+    if (!email) {
+        throw new Error("Email is required");
+    }
 
-        let users = getUsers();
-        if (!users[email]) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let previous;
+    try {
+        previous = findUserGrant_(email);
+        if (!previous) {
             throw new Error("User does not exist");
         }
+        revokeUserGrant_(email);
+    } finally {
+        lock.releaseLock();
+    }
 
-        delete users[email];
-        PropertiesService.getScriptProperties().setProperty('users', JSON.stringify(users));
-        calculateStringPropertySpaceUsed('users');
-    } catch (err) {
-        throw err;
+    await recordUserGrantChange_(email, previous, null);
+    logActivity(`Removed the role of ${email}`);
+}
+
+/**
+ * Checks the expiry date of a role grant.
+ * @param {string} expiresOn - The last day the role applies, as yyyy-MM-dd, or blank for no expiry.
+ * @returns {string} - The expiry date, or blank.
+ * @throws {Error} - If the date is invalid or has already passed.
+ */
+function validateGrantExpiry(expiresOn) {
+    if (!expiresOn) return '';
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiresOn) || expiresOn < today) {
+        throw new Error(`Invalid expiry date: ${expiresOn}. It must be today or later.`);
     }
+    return expiresOn;
+}
+
+/**
+ * The user a queued job is running for, while the job queue runs it. Empty the rest of the time.
+ * @type {string}
+ */
+let ACTING_USER_EMAIL = '';
+
+/**
+ * Returns the email address of the user the current call acts for: the submitter of the queued job being run,
+ * otherwise the active user. Permission and scope checks use it so a job run by the queue trigger is checked against its submitter.
+ * @returns {string} The email address.
+ */
+function getActingUserEmail_() {
+  return ACTING_USER_EMAIL || Session.getActiveUser().getEmail();
 }
 
 function getUserRole() {
-  const email = Session.getActiveUser().getEmail();
+  const email = getActingUserEmail_();
   return authenticate(email);
 }
 
 /**
  * Authenticates a user based on their email address and returns their role.
- * If the user is not found, defaults to the "viewer" role.
+ * If the user has no role, or their role has expired, defaults to the "viewer" role.
  * @param {string} email - The email address of the user to authenticate.
  * @returns {string} - The role of the authenticated user.
  * @throws {Error} - If an error occurs while authenticating the user.
@@ -207,7 +276,7 @@ function authenticate(email) {
             throw new Error("Email is required for authentication");
         }
 
-        let users = getUsers();
+        let users = loadUsers_();
         let role = users[email];
 
         // If the user is not found, default to "viewer" role.
@@ -221,17 +290,44 @@ function authenticate(email) {
 }
 
 /**
- * Validates that the current user is an admin by checking their email address and role.
- * If the user is not an admin, throws an error.
+ * Checks if the current user's role grants a permission.
+ * @param {string} permission - The permission, from PERMISSIONS.
+ * @returns {boolean} - true if the user has the permission, otherwise false.
+ */
+function hasPermission(permission) {
+    const role = authenticate(getActingUserEmail_());
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Validates that the current user's role grants a permission.
+ * If it does not, the attempt is logged and an error is thrown.
+ * @param {string} permission - The permission, from PERMISSIONS.
  * @returns {void}
- * @throws {Error} - If the current user is not an admin.
+ * @throws {Error} - If the current user does not have the permission.
  */
-function validateAdmin() {
-    const adminEmail = Session.getActiveUser().getEmail();
-    const adminRole = authenticate(adminEmail);
+function validatePermission(permission) {
+    if (!hasPermission(permission)) {
+        logActivity(`Denied: missing the '${permission}' permission`);
+        throw new Error(`You do not have the '${permission}' permission needed to perform this action`);
+    }
+}
 
-    if (adminRole !== ROLES.ADMIN && adminRole !== ROLES.OWNER) {
-        throw new Error("Only admins can perform this action");
+/**
+ * Validates that a trigger handler was called by one of this project's installed triggers for it, and not through
+ * google.script.run. Trigger handlers have to stay public, so this takes the place of a permission check.
+ * @param {Object} e - The event object passed to the handler.
+ * @param {string} handlerFunction - The name of the handler.
+ * @returns {void}
+ * @throws {Error} - If the event does not come from an installed trigger for the handler.
+ */
+function validateTriggerEvent_(e, handlerFunction) {
+    const triggerUid = e && e.triggerUid ? String(e.triggerUid) : '';
+    const installed = ScriptApp.getProjectTriggers()
+        .some(trigger => trigger.getHandlerFunction() === handlerFunction && trigger.getUniqueId() === triggerUid);
+    if (!installed) {
+        logActivity(`Denied: ${handlerFunction} can only be run by its trigger`);
+        throw new Error(`${handlerFunction} can only be run by its trigger`);
     }
 }
 
@@ -241,7 +337,7 @@ function validateAdmin() {
  * @returns {boolean} - true if the user is the owner, otherwise false.
  */
 function validateOwner() {
-    const adminEmail = Session.getActiveUser().getEmail();
+    const adminEmail = getActingUserEmail_();
     const role = authenticate(adminEmail);
     return role === ROLES.OWNER ? true : false;
 }
@@ -0,0 +1,198 @@
+/**
+ * Where the coaching log is read from. Admins can point it at a sheet whose first row holds these headers, either on the
+ * config sheet or on a spreadsheet the deployer has approved. The log is opened with the deployer's access, so the approved
+ * spreadsheet IDs are a JSON array in the APPROVED_SPREADSHEETS_PROPERTY script property, which only the deployer can edit.
+ * @type {Object}
+ */
+const COMPLIANCE = {
+    SETTINGS_PROPERTY: 'COMPLIANCE_LOG_SETTINGS',
+    APPROVED_SPREADSHEETS_PROPERTY: 'COMPLIANCE_LOG_SPREADSHEETS',
+    DEFAULT_SETTINGS: {
+        spreadsheetId: '',
+        sheetName: 'Coaching Log',
+        headers: { agent: 'Agent', formId: 'Form ID', coachingType: 'Coaching Type', date: 'Date' }
+    },
+    // Targets are coachings per 160 hours, which a full-time agent works in 28 days.
+    DAYS_PER_TARGET: 28
+};
+
+/**
+ * The coaching types expectations set targets for, the tbl_coaching_forms column flagging a form as that type
+ * and the names the coaching log may use for it, lower case without spaces or punctuation.
+ * @type {Array<Object>}
+ */
+const COACHING_TYPES = [
+    { field: 'performance', label: 'Performance', formColumn: 2, aliases: ['performance', 'performancecoaching'] },
+    { field: 'oneToOne', label: '1-to-1', formColumn: 3, aliases: ['onetoone', '1to1', '11'] },
+    { field: 'sideBySide', label: 'Side-by-side', formColumn: 4, aliases: ['sidebyside', 'sbs'] }
+];
+
+/**
+ * Returns where the coaching log is read from.
+ * @returns {Object} The spreadsheet ID (blank for the config sheet), the sheet name and the header of each column.
+ */
+function getComplianceSettings() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const settings = PropertiesService.getScriptProperties().getProperty(COMPLIANCE.SETTINGS_PROPERTY);
+    return settings ? JSON.parse(settings) : COMPLIANCE.DEFAULT_SETTINGS;
+}
+
+/**
+ * Saves where the coaching log is read from, after checking the sheet exists and has every column.
+ * @async
+ * @param {Object} settings - The spreadsheet ID (blank for the config sheet), the sheet name and the header of each column.
+ * @returns {Promise<Object>} The saved settings.
+ * @throws {Error} If the current user is not an admin, a setting is missing, the spreadsheet is not approved or the sheet could not be read.
+ */
+async function setComplianceSettings(settings) {
+    validatePermission(PERMISSIONS.CONFIG_WRITE);
+    const saved = {
+        spreadsheetId: String(settings.spreadsheetId || '').trim(),
+        sheetName: String(settings.sheetName || '').trim(),
+        headers: {}
+    };
+    if (!saved.sheetName) throw new Error('Missing log sheet name');
+    Object.keys(COMPLIANCE.DEFAULT_SETTINGS.headers).forEach(key => {
+        saved.headers[key] = String((settings.headers || {})[key] || '').trim();
+        if (!saved.headers[key]) throw new Error(`Missing header for the ${key} column`);
+    });
+
+    await readCoachingLog_(saved);
+    PropertiesService.getScriptProperties().setProperty(COMPLIANCE.SETTINGS_PROPERTY, JSON.stringify(saved));
+    logActivity(`Set the coaching log to ${saved.spreadsheetId || 'the config sheet'} / ${saved.sheetName}`);
+    return saved;
+}
+
+/**
+ * Compares the coachings each agent completed in a period with the expectation that applied to them.
+ * Each expectation's targets are prorated by the days it applied, at one target per 28 days (160 hours full time).
+ * Log entries count towards a coaching type only when their form is flagged as that type in tbl_coaching_forms.
+ * @async
+ * @param {string} fromDate - The first day of the period, as yyyy-MM-dd.
+ * @param {string} toDate - The last day of the period, as yyyy-MM-dd.
+ * @returns {Promise<Object>} The period, the actual and expected coachings of each agent and the log entries that could not be counted.
+ * @throws {Error} If a date is invalid or the coaching log could not be read.
+ */
+async function getComplianceReport(fromDate, toDate) {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    [fromDate, toDate].forEach(date => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid date: ${date}`);
+    });
+    const targets = await CoachingDashboard.getEffectiveExpectationPeriods(fromDate, toDate);
+    const entries = await readCoachingLog_(getComplianceSettings());
+    const { settings: forms } = await loadFormSettings_();
+
+    const agents = targets.agents.map(agent => {
+        const withExpectation = agent.periods.filter(({ expectationId }) => expectationId !== null);
+        const result = {
+            agentId: agent.agentId,
+            agentName: agent.agentName,
+            workgroupId: agent.workgroupId,
+            workgroupName: agent.workgroupName,
+            jobProfileId: agent.jobProfileId,
+            jobProfileName: agent.jobProfileName,
+            daysWithExpectation: withExpectation.reduce((total, { days }) => total + days, 0)
+        };
+        COACHING_TYPES.forEach(({ field }) => {
+            const expected = withExpectation.reduce((total, period) => total + Number(period[field] || 0) * period.days / COMPLIANCE.DAYS_PER_TARGET, 0);
+            result[field] = { actual: 0, expected: Math.round(expected * 100) / 100 };
+        });
+        return result;
+    });
+
+    const agentLookup = new Map();
+    targets.agents.forEach((agent, index) => {
+        [agent.agentId, agent.email, agent.samAccountName]
+            .filter(key => key !== '' && key !== null && key !== undefined)
+            .forEach(key => agentLookup.set(String(key).trim().toLowerCase(), agents[index]));
+    });
+
+    let counted = 0;
+    const unmatched = [];
+    entries.forEach(entry => {
+        if (entry.date !== null && (entry.date < targets.from || entry.date > targets.to)) return;
+        const reason = entry.date === null ? 'The date could not be read.' : countCoaching(entry, agentLookup, forms);
+        if (reason) {
+            unmatched.push({ ...entry, reason: reason });
+        } else {
+            counted++;
+        }
+    });
+
+    return { from: targets.from, to: targets.to, days: targets.days, counted: counted, agents: agents, unmatched: unmatched };
+}
+
+/**
+ * Adds a log entry to its agent's actuals.
+ * @param {Object} entry - The log entry.
+ * @param {Map<string, Object>} agentLookup - The agent results, keyed by lower case employee ID, email and SAM account name.
+ * @param {Object<string, Array<any>>} forms - The tbl_coaching_forms rows, keyed by form ID.
+ * @returns {string|null} Why the entry could not be counted, or null if it was.
+ */
+function countCoaching(entry, agentLookup, forms) {
+    const agent = agentLookup.get(String(entry.agent).trim().toLowerCase());
+    if (!agent) return `Agent ${entry.agent} is not an active agent.`;
+    const form = forms[String(entry.formId).trim()];
+    if (!form) return `Form ${entry.formId} is not a coaching form.`;
+
+    const formTypes = COACHING_TYPES.filter(({ formColumn }) => form[formColumn] === true);
+    const logged = String(entry.coachingType).toLowerCase().replace(/[^a-z0-9]/g, '');
+    let type;
+    if (logged) {
+        type = COACHING_TYPES.find(({ aliases }) => aliases.includes(logged));
+        if (!type) return `Unknown coaching type: ${entry.coachingType}`;
+        if (!formTypes.includes(type)) return `Form ${entry.formId} is not flagged as a ${type.label} form.`;
+    } else if (formTypes.length === 1) {
+        type = formTypes[0];
+    } else {
+        return `Form ${entry.formId} is flagged as ${formTypes.length === 0 ? 'no coaching type' : 'more than one coaching type'}; the log must give the type.`;
+    }
+
+    agent[type.field].actual++;
+    return null;
+}
+
+/**
+ * Returns the spreadsheets, other than the config sheet, that the coaching log may be read from.
+ * @returns {Array<string>} The approved spreadsheet IDs.
+ */
+function getApprovedLogSpreadsheets_() {
+    const approved = PropertiesService.getScriptProperties().getProperty(COMPLIANCE.APPROVED_SPREADSHEETS_PROPERTY);
+    return approved ? JSON.parse(approved).map(id => String(id).trim()) : [];
+}
+
+/**
+ * Reads every entry in the coaching log. The spreadsheet is opened with the deployer's access, so only the config sheet and
+ * approved spreadsheets are read, and only the saved settings or the settings setComplianceSettings is about to save are passed in.
+ * @async
+ * @param {Object} settings - Where the log is read from, as returned by getComplianceSettings.
+ * @returns {Promise<Array<{row: number, agent: string, formId: string, coachingType: string, date: string|null}>>} The log entries, skipping blank rows.
+ * @throws {Error} If the spreadsheet is not approved, or the spreadsheet, the sheet or one of the columns could not be found.
+ */
+async function readCoachingLog_(settings) {
+    if (settings.spreadsheetId && !getApprovedLogSpreadsheets_().includes(settings.spreadsheetId)) {
+        throw new Error(`Spreadsheet ${settings.spreadsheetId} is not approved for the coaching log. Ask the deployer to add it to the ${COMPLIANCE.APPROVED_SPREADSHEETS_PROPERTY} script property.`);
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const sheet = SpreadsheetApp.openById(settings.spreadsheetId || COACHING_SHEET).getSheetByName(settings.sheetName);
+    if (!sheet) throw new Error(`The coaching log sheet "${settings.sheetName}" does not exist.`);
+    const [headers, ...rows] = sheet.getDataRange().getValues();
+    const columns = {};
+    Object.entries(settings.headers).forEach(([key, header]) => {
+        columns[key] = (headers || []).findIndex(value => String(value).trim().toLowerCase() === header.toLowerCase());
+        if (columns[key] === -1) throw new Error(`The coaching log has no "${header}" column.`);
+    });
+
+    return rows
+        .map((row, index) => ({
+            row: index + 2,
+            agent: String(row[columns.agent]).trim(),
+            formId: String(row[columns.formId]).trim(),
+            coachingType: String(row[columns.coachingType]).trim(),
+            date: toExpectationDate(row[columns.date])
+        }))
+        .filter(({ agent, formId }) => agent !== '' || formId !== '');
+}
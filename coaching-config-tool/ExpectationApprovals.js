@@ -0,0 +1,420 @@
+/**
+ * Where expectation change proposals and the approval settings are stored.
+ * @type {Object}
+ */
+const APPROVALS = {
+    SHEET_NAME: 'tbl_expectation_proposals',
+    HEADERS: ['ID', 'Status', 'Expectation ID', 'Before', 'After', 'Reason', 'Submitted By', 'Submitted On', 'Reviewed By', 'Reviewed On', 'Comments'],
+    SETTINGS_PROPERTY: 'APPROVAL_SETTINGS'
+};
+
+/**
+ * The states a proposal can be in.
+ * @type {Object<string, string>}
+ */
+const PROPOSAL_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Returns which roles must have their expectation changes approved, and for which expectation types.
+ * @returns {{roles: Array<string>, expectationTypes: Array<string>}} The approval settings.
+ */
+function getApprovalSettings() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const settings = PropertiesService.getScriptProperties().getProperty(APPROVALS.SETTINGS_PROPERTY);
+    return settings ? JSON.parse(settings) : { roles: [], expectationTypes: [] };
+}
+
+/**
+ * Sets which roles must have their expectation changes approved, and for which expectation types.
+ * @async
+ * @param {Array<string>} roles - The roles whose changes need approval. Owners never need approval.
+ * @param {Array<string>} expectationTypes - The expectation types that need approval.
+ * @throws {Error} If the current user is not an owner, or a role or expectation type is invalid.
+ */
+async function setApprovalSettings(roles, expectationTypes) {
+    validatePermission(PERMISSIONS.OWNER_SETTINGS_MANAGE);
+    const invalidRole = roles.find(role => ![ROLES.ADMIN, ROLES.EDITOR].includes(role));
+    if (invalidRole) {
+        throw new Error(`Invalid role for approval: ${invalidRole}`);
+    }
+    const validTypes = JSON.parse(await getExpectationTypes());
+    const invalidType = expectationTypes.find(type => !validTypes.includes(type));
+    if (invalidType) {
+        throw new Error(`Invalid expectation type: ${invalidType}`);
+    }
+
+    PropertiesService.getScriptProperties().setProperty(APPROVALS.SETTINGS_PROPERTY, JSON.stringify({ roles: roles, expectationTypes: expectationTypes }));
+    logActivity(`Set approval settings (roles: ${roles.join(', ') || 'none'}; types: ${expectationTypes.join(', ') || 'none'})`);
+}
+
+/**
+ * Returns the expectation types the current user must submit for approval instead of saving directly.
+ * @returns {Array<string>} The expectation types, or an empty array if the user's changes never need approval.
+ */
+function getApprovalRequiredTypes() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const { roles, expectationTypes } = getApprovalSettings();
+    return roles.includes(getUserRole()) ? expectationTypes : [];
+}
+
+/**
+ * Throws if the current user must submit changes to any of the given expectation types for approval.
+ * Called by every function that saves expectations directly.
+ * @param {Array<string>} expectationTypes - The expectation types about to be saved.
+ * @throws {Error} If any of the types needs approval for the current user.
+ */
+function validateDirectSave_(expectationTypes) {
+    const requiredTypes = getApprovalRequiredTypes();
+    const type = expectationTypes.find(expectationType => requiredTypes.includes(expectationType));
+    if (type) {
+        throw new Error(`Changes to ${type} expectations must be submitted for approval.`);
+    }
+}
+
+/**
+ * Submits an expectation change for approval. Nothing is saved to the expectation until an admin approves it.
+ * @async
+ * @param {number|string|null} expectationId - The ID of the expectation to change, or null to propose a new one.
+ * @param {Object} expectation - The proposed expectation.
+ * @param {string} reason - Why the change is needed.
+ * @returns {Promise<Object>} The proposal.
+ * @throws {Error} If the current user is not an editor, no reason is given, the expectation does not exist or is invalid,
+ *  or the expectation before or after the change is outside the user's scopes.
+ */
+async function submitExpectationProposal(expectationId, expectation, reason) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    if (!reason || !String(reason).trim()) {
+        throw new Error("A reason is required");
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const after = toProposalExpectation_(expectation);
+    await validateExpectation(after).catch(() => {
+        throw new Error('Coaching values must be 0 or more and the dates must be in order, between 1990 and 3000.');
+    });
+
+    const id = toExpectationIdOrNull(expectationId);
+    const { projected, sheetRows, employees, registry, scopes } = await loadExpectationPlanContext_();
+    let before = null;
+    if (id !== null) {
+        if (!sheetRows[id]) {
+            throw new Error(`Expectation ID (${id}) not found.`);
+        }
+        before = rowToProposalExpectation_(projected[sheetRows[id] - 3]);
+        if (!isInUserScope(scopes, before.resourceId, before.expectationType, registry, employees)) {
+            throw new Error(`Expectation ID ${id} is outside the resources you can edit.`);
+        }
+    }
+    if (!isInUserScope(scopes, after.resourceId, after.expectationType, registry, employees)) {
+        throw new Error(`${after.expectationType} ${after.resourceId} is outside the resources you can edit.`);
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let proposal;
+    try {
+        const sheet = getProposalSheet_();
+        const ids = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().flat().map(Number) : [];
+        proposal = {
+            id: ids.length > 0 ? Math.max(...ids) + 1 : 1,
+            status: PROPOSAL_STATUS.PENDING,
+            expectationId: id,
+            before: before,
+            after: after,
+            reason: String(reason).trim(),
+            submittedBy: Session.getActiveUser().getEmail(),
+            submittedOn: new Date().toISOString(),
+            reviewedBy: '',
+            reviewedOn: '',
+            comments: []
+        };
+        sheet.appendRow(toProposalRow_(proposal));
+    } finally {
+        lock.releaseLock();
+    }
+
+    logActivity(`Submitted proposal ${proposal.id} for ${id === null ? 'a new expectation' : `expectation ${id}`}`);
+    return proposal;
+}
+
+/**
+ * Returns the expectation change proposals. Admins see every proposal; other users see the ones they submitted.
+ * @async
+ * @returns {Promise<Array<Object>>} The proposals, newest first.
+ */
+async function getExpectationProposals() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const email = Session.getActiveUser().getEmail();
+    const isAdmin = hasPermission(PERMISSIONS.EXPECTATIONS_APPROVE);
+    return loadProposals_()
+        .map(({ proposal }) => proposal)
+        .filter(proposal => isAdmin || proposal.submittedBy === email)
+        .reverse();
+}
+
+/**
+ * Approves a pending proposal and applies it. The change goes through the same validation and overlap checks
+ * as a direct save; if it fails them, the proposal stays pending.
+ * @async
+ * @param {number|string} proposalId - The ID of the proposal.
+ * @param {string} [comment] - An optional comment for the submitter.
+ * @returns {Promise<Object>} The approved proposal.
+ * @throws {Error} If the current user is not an admin, submitted the proposal, or the change is no longer valid.
+ */
+async function approveExpectationProposal(proposalId, comment = '') {
+    validatePermission(PERMISSIONS.EXPECTATIONS_APPROVE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let plan;
+    let proposal;
+    try {
+        const found = findPendingProposal_(proposalId);
+        proposal = found.proposal;
+        const context = await loadExpectationPlanContext_();
+        if (proposal.expectationId !== null) {
+            const sheetRow = context.sheetRows[proposal.expectationId];
+            const current = sheetRow ? rowToProposalExpectation_(context.projected[sheetRow - 3]) : null;
+            if (JSON.stringify(current) !== JSON.stringify(proposal.before)) {
+                throw new Error(`Expectation ${proposal.expectationId} has changed since proposal ${proposal.id} was submitted. Reject it and submit the change again.`);
+            }
+        }
+
+        plan = await planExpectationWrites_([{ label: `proposal ${proposal.id}`, id: proposal.expectationId, expectation: proposal.after, reasons: [] }], context);
+        const [row] = plan.rows;
+        if (row.action === PLAN_ACTIONS.REJECT) {
+            throw new Error(`Could not apply proposal ${proposal.id}: ${row.reasons.join(' ')}`);
+        }
+        await writeExpectationPlan_(plan);
+
+        proposal.expectationId = row.id;
+        reviewProposal_(found, PROPOSAL_STATUS.APPROVED, comment);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordExpectationPlanChanges_(plan);
+    logActivity(`Approved proposal ${proposal.id} for expectation ${proposal.expectationId}`);
+    return proposal;
+}
+
+/**
+ * Rejects a pending proposal without changing the expectation.
+ * @async
+ * @param {number|string} proposalId - The ID of the proposal.
+ * @param {string} comment - Why the proposal was rejected.
+ * @returns {Promise<Object>} The rejected proposal.
+ * @throws {Error} If the current user is not an admin, no comment is given or the proposal is not pending.
+ */
+async function rejectExpectationProposal(proposalId, comment) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_APPROVE);
+    if (!comment || !String(comment).trim()) {
+        throw new Error("A comment is required to reject a proposal");
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        const found = findPendingProposal_(proposalId);
+        reviewProposal_(found, PROPOSAL_STATUS.REJECTED, comment);
+        logActivity(`Rejected proposal ${found.proposal.id}`);
+        return found.proposal;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Adds a comment to a pending proposal without approving or rejecting it.
+ * @async
+ * @param {number|string} proposalId - The ID of the proposal.
+ * @param {string} comment - The comment.
+ * @returns {Promise<Object>} The proposal.
+ * @throws {Error} If the current user is not an admin, the comment is empty or the proposal is not pending.
+ */
+async function commentOnExpectationProposal(proposalId, comment) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_APPROVE);
+    if (!comment || !String(comment).trim()) {
+        throw new Error("Comment is required");
+    }
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        const found = findPendingProposal_(proposalId, false);
+        addProposalComment_(found.proposal, comment);
+        saveProposal_(found);
+        return found.proposal;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Finds a pending proposal.
+ * @param {number|string} proposalId - The ID of the proposal.
+ * @param {boolean} [forReview=true] - Whether the proposal is being approved or rejected, which its submitter cannot do.
+ * @returns {{proposal: Object, sheetRow: number}} The proposal and its row on the proposals sheet.
+ * @throws {Error} If the proposal does not exist, is not pending or was submitted by the current user.
+ */
+function findPendingProposal_(proposalId, forReview = true) {
+    const found = loadProposals_().find(({ proposal }) => proposal.id === Number(proposalId));
+    if (!found) {
+        throw new Error(`Proposal ${proposalId} not found.`);
+    }
+    if (found.proposal.status !== PROPOSAL_STATUS.PENDING) {
+        throw new Error(`Proposal ${proposalId} has already been ${found.proposal.status}.`);
+    }
+    if (forReview && found.proposal.submittedBy === Session.getActiveUser().getEmail()) {
+        throw new Error("You cannot review your own proposal");
+    }
+    return found;
+}
+
+/**
+ * Marks a proposal as reviewed and saves it.
+ * @param {{proposal: Object, sheetRow: number}} found - The proposal and its row on the proposals sheet.
+ * @param {string} status - The new status, one of PROPOSAL_STATUS.
+ * @param {string} [comment] - An optional comment from the reviewer.
+ */
+function reviewProposal_(found, status, comment) {
+    const { proposal } = found;
+    proposal.status = status;
+    proposal.reviewedBy = Session.getActiveUser().getEmail();
+    proposal.reviewedOn = new Date().toISOString();
+    if (comment && String(comment).trim()) {
+        addProposalComment_(proposal, comment);
+    }
+    saveProposal_(found);
+}
+
+/**
+ * Adds a comment from the current user to a proposal.
+ * @param {Object} proposal - The proposal.
+ * @param {string} comment - The comment.
+ */
+function addProposalComment_(proposal, comment) {
+    proposal.comments.push({ author: Session.getActiveUser().getEmail(), on: new Date().toISOString(), text: String(comment).trim() });
+}
+
+/**
+ * Writes a proposal back to its row on the proposals sheet.
+ * @param {{proposal: Object, sheetRow: number}} found - The proposal and its row on the proposals sheet.
+ */
+function saveProposal_({ proposal, sheetRow }) {
+    getProposalSheet_().getRange(sheetRow, 1, 1, APPROVALS.HEADERS.length).setValues([toProposalRow_(proposal)]);
+}
+
+/**
+ * Loads every proposal from the proposals sheet.
+ * @returns {Array<{proposal: Object, sheetRow: number}>} The proposals and their rows, oldest first.
+ */
+function loadProposals_() {
+    const sheet = getProposalSheet_();
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, APPROVALS.HEADERS.length).getValues()
+        .map((row, index) => ({
+            sheetRow: index + 2,
+            proposal: {
+                id: Number(row[0]),
+                status: row[1],
+                expectationId: row[2] === '' ? null : Number(row[2]),
+                before: row[3] ? JSON.parse(row[3]) : null,
+                after: JSON.parse(row[4]),
+                reason: row[5],
+                submittedBy: row[6],
+                submittedOn: row[7],
+                reviewedBy: row[8],
+                reviewedOn: row[9],
+                comments: row[10] ? JSON.parse(row[10]) : []
+            }
+        }));
+}
+
+/**
+ * Converts a proposal to a row on the proposals sheet.
+ * @param {Object} proposal - The proposal.
+ * @returns {Array<any>} The row.
+ */
+function toProposalRow_(proposal) {
+    return [
+        proposal.id,
+        proposal.status,
+        proposal.expectationId === null ? '' : proposal.expectationId,
+        proposal.before ? JSON.stringify(proposal.before) : '',
+        JSON.stringify(proposal.after),
+        proposal.reason,
+        proposal.submittedBy,
+        proposal.submittedOn,
+        proposal.reviewedBy,
+        proposal.reviewedOn,
+        JSON.stringify(proposal.comments)
+    ];
+}
+
+/**
+ * Returns the proposals sheet, creating it if needed. Dates are stored as ISO text so the sheet does not convert them.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The proposals sheet.
+ */
+function getProposalSheet_() {
+    const ss = SpreadsheetApp.openById(COACHING_SHEET);
+    let sheet = ss.getSheetByName(APPROVALS.SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(APPROVALS.SHEET_NAME);
+        sheet.getRange(1, 1, 1, APPROVALS.HEADERS.length).setValues([APPROVALS.HEADERS]);
+        sheet.getRange('A:K').setNumberFormat('@');
+    }
+    return sheet;
+}
+
+/**
+ * Keeps only the saved fields of an expectation sent from the Expectations page.
+ * @param {Object} expectation - The expectation.
+ * @returns {Object} The expectation fields a proposal stores.
+ */
+function toProposalExpectation_(expectation) {
+    return {
+        resourceId: expectation.resourceId,
+        performance: expectation.performance,
+        oneToOne: expectation.oneToOne,
+        sideBySide: expectation.sideBySide,
+        startDate: toExpectationDate(expectation.startDate),
+        endDate: toExpectationDate(expectation.endDate),
+        expectationType: expectation.expectationType,
+        active: expectation.active !== false
+    };
+}
+
+/**
+ * Converts an expectation row (columns 1-9) to the expectation fields a proposal stores.
+ * @param {Array<any>} row - The expectation row.
+ * @returns {Object} The expectation.
+ */
+function rowToProposalExpectation_(row) {
+    return toProposalExpectation_({
+        resourceId: row[1],
+        performance: row[2],
+        oneToOne: row[3],
+        sideBySide: row[4],
+        startDate: row[5],
+        endDate: row[6],
+        expectationType: row[7],
+        active: row[8] === true
+    });
+}
@@ -0,0 +1,177 @@
+/**
+ * Where the latest expiry run is stored. The report sheet is rewritten on every run.
+ * @type {Object}
+ */
+const EXPIRY_REPORT = {
+    SHEET_NAME: 'tbl_expiry_report',
+    HEADERS: ['Resource Type', 'Resource ID', 'Resource Name', 'First Day Without Expectation', 'Days Without Expectation'],
+    LAST_RUN_PROPERTY: 'EXPIRY_LAST_RUN',
+    DAYS_PROPERTY: 'EXPIRY_REPORT_DAYS',
+    DEFAULT_DAYS: 30
+};
+
+/**
+ * The function the daily expiry trigger runs.
+ * @type {string}
+ */
+const EXPIRY_TRIGGER_FUNCTION = 'runExpectationExpiry';
+
+/**
+ * Runs the expectation expiry job from the daily trigger, recording its changes as made by a trigger.
+ * @async
+ * @param {Object} e - The event object passed by the trigger.
+ * @returns {Promise<Object>} A summary of the run.
+ * @throws {Error} If it was not called by the daily trigger.
+ */
+async function runExpectationExpiry(e) {
+    validateTriggerEvent_(e, EXPIRY_TRIGGER_FUNCTION);
+    AUDIT_SOURCE = AUDIT_SOURCES.TRIGGER;
+    return await expireExpectations_();
+}
+
+/**
+ * Deactivates every active expectation whose end date has passed, then reports the agents, workgroups
+ * and job profiles that will have no applicable expectation in the coming days.
+ * Run daily by the installable trigger; admins can also run it from the Admin page. The trigger's user is not checked
+ * against the expectation roles, and any expectation that cannot be deactivated is listed with its error in the summary.
+ * @async
+ * @returns {Promise<Object>} A summary of the run.
+ */
+async function expireExpectations_() {
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    const days = getExpiryReportDays();
+    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
+    const rows = sheet.getLastRow() > 2 ? sheet.getRange(3, 1, sheet.getLastRow() - 2, 9).getValues() : [];
+    const expired = rows
+        .filter(row => row[8] === true && toExpectationDate(row[6]) < today)
+        .map(row => Number(row[0]));
+
+    const deactivated = [];
+    const failed = [];
+    for (const expectationId of expired) {
+        try {
+            await saveExpectationStatus_(expectationId, false);
+            deactivated.push(expectationId);
+        } catch (error) {
+            Logger.log(`Unable to deactivate expectation ${expectationId}: ${error}`);
+            failed.push({ id: expectationId, error: error.message });
+        }
+    }
+
+    const report = await CoachingDashboard.getExpectationGaps(days, today);
+    writeExpiryReport_(report.gaps);
+
+    const lastRun = {
+        ranAt: new Date().toISOString(),
+        from: report.from,
+        to: report.to,
+        deactivated: deactivated,
+        failed: failed,
+        gapCount: report.gaps.length
+    };
+    PropertiesService.getScriptProperties().setProperty(EXPIRY_REPORT.LAST_RUN_PROPERTY, JSON.stringify(lastRun));
+    logActivity(`Expectation expiry deactivated ${deactivated.length} expectation(s), failed to deactivate ${failed.length} and found ${report.gaps.length} gap(s) through ${report.to}`);
+    return lastRun;
+}
+
+/**
+ * Runs the expectation expiry job now.
+ * @async
+ * @returns {Promise<Object>} A summary of the run.
+ * @throws {Error} If the current user is not an admin.
+ */
+async function runExpectationExpiryNow() {
+    validatePermission(PERMISSIONS.CONFIG_WRITE);
+    return await expireExpectations_();
+}
+
+/**
+ * Returns the latest expiry report, its settings and whether the daily trigger is installed.
+ * @async
+ * @returns {Promise<Object>} The last run summary (or null), the report period in days, the trigger status and the gaps.
+ * @throws {Error} If the current user is not an admin.
+ */
+async function getExpiryReport() {
+    validatePermission(PERMISSIONS.CONFIG_WRITE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const lastRun = PropertiesService.getScriptProperties().getProperty(EXPIRY_REPORT.LAST_RUN_PROPERTY);
+    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName(EXPIRY_REPORT.SHEET_NAME);
+    const gaps = sheet && sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, EXPIRY_REPORT.HEADERS.length).getValues()
+            .map(([resourceType, resourceId, resourceName, firstGap, gapDays]) => ({
+                resourceType: resourceType,
+                resourceId: resourceId,
+                resourceName: resourceName,
+                firstGap: toExpectationDate(firstGap),
+                gapDays: gapDays
+            }))
+        : [];
+
+    return {
+        lastRun: lastRun ? JSON.parse(lastRun) : null,
+        days: getExpiryReportDays(),
+        triggerInstalled: getExpiryTriggers_().length > 0,
+        gaps: gaps
+    };
+}
+
+/**
+ * Installs or removes the daily expiry trigger and saves how many days the gap report covers.
+ * The trigger runs as the admin who installs it.
+ * @param {boolean} enabled - Whether the daily trigger should be installed.
+ * @param {number} days - The number of days the gap report covers.
+ * @throws {Error} If the current user is not an admin or days is not a positive whole number.
+ */
+function setExpirySchedule(enabled, days) {
+    validatePermission(PERMISSIONS.CONFIG_WRITE);
+    if (!Number.isInteger(Number(days)) || Number(days) <= 0) {
+        throw new Error(`Invalid number of days: ${days}`);
+    }
+    PropertiesService.getScriptProperties().setProperty(EXPIRY_REPORT.DAYS_PROPERTY, String(Number(days)));
+
+    getExpiryTriggers_().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    if (enabled) {
+        ScriptApp.newTrigger(EXPIRY_TRIGGER_FUNCTION).timeBased().everyDays(1).atHour(1).create();
+    }
+    logActivity(`${enabled ? 'Installed' : 'Removed'} the daily expectation expiry trigger (${days} day report)`);
+}
+
+/**
+ * Returns the number of days the gap report covers.
+ * @returns {number} The number of days.
+ */
+function getExpiryReportDays() {
+    const days = PropertiesService.getScriptProperties().getProperty(EXPIRY_REPORT.DAYS_PROPERTY);
+    return days ? Number(days) : EXPIRY_REPORT.DEFAULT_DAYS;
+}
+
+/**
+ * Returns the project triggers that run the expiry job.
+ * @returns {Array<GoogleAppsScript.Script.Trigger>} The triggers.
+ */
+function getExpiryTriggers_() {
+    return ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === EXPIRY_TRIGGER_FUNCTION);
+}
+
+/**
+ * Replaces the contents of the expiry report sheet, creating the sheet if needed.
+ * @param {Array<Object>} gaps - The gaps returned by CoachingDashboard.getExpectationGaps.
+ */
+function writeExpiryReport_(gaps) {
+    const ss = SpreadsheetApp.openById(COACHING_SHEET);
+    const sheet = ss.getSheetByName(EXPIRY_REPORT.SHEET_NAME) || ss.insertSheet(EXPIRY_REPORT.SHEET_NAME);
+    const rows = gaps.map(gap => [gap.resourceType, gap.resourceId, gap.resourceName, gap.firstGap, gap.gapDays]);
+
+    sheet.clearContents();
+    sheet.getRange(1, 1, 1, EXPIRY_REPORT.HEADERS.length).setValues([EXPIRY_REPORT.HEADERS]);
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, EXPIRY_REPORT.HEADERS.length).setValues(rows);
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Columns accepted in an expectation import file. Headers are matched case-insensitively.
+ * Rows with an id update that expectation; rows without one are inserted.
+ * @type {Array<string>}
+ */
+const IMPORT_COLUMNS = ['id', 'resourceId', 'expectationType', 'performance', 'oneToOne', 'sideBySide', 'startDate', 'endDate', 'active'];
+
+/**
+ * Columns every import file must have.
+ * @type {Array<string>}
+ */
+const IMPORT_REQUIRED_COLUMNS = ['resourceId', 'expectationType', 'performance', 'oneToOne', 'sideBySide', 'startDate', 'endDate'];
+
+/**
+ * Validates an expectation import file without saving anything.
+ * @async
+ * @param {string} csvText - The contents of the CSV file.
+ * @returns {Promise<Object>} The planned action for each row and a count of each action.
+ * @throws {Error} If the file is empty or is missing required columns.
+ */
+async function previewExpectationImport(csvText) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    const plan = await buildImportPlan(csvText);
+    return { rows: plan.rows, summary: plan.summary };
+}
+
+/**
+ * Imports an expectation file. The file is validated again under the script lock and nothing
+ * is saved unless every row is valid.
+ * @async
+ * @param {string} csvText - The contents of the CSV file.
+ * @returns {Promise<Object>} The saved rows, including the IDs of inserted expectations, and a count of each action.
+ * @throws {Error} If any row is rejected, a change must be submitted for approval or the lock could not be acquired.
+ */
+async function commitExpectationImport(csvText) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let plan;
+    try {
+        plan = await buildImportPlan(csvText);
+        if (plan.summary.reject > 0) {
+            throw new Error(`Import cancelled: ${plan.summary.reject} row(s) were rejected. Preview the file to see why.`);
+        }
+        validateDirectSave_(getPlanExpectationTypes_(plan));
+        await writeExpectationPlan_(plan);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordExpectationPlanChanges_(plan);
+    logActivity(`Imported expectations (${plan.summary.insert} inserted, ${plan.summary.update} updated)`);
+    return { rows: plan.rows, summary: plan.summary };
+}
+
+/**
+ * Works out what an import file would do, row by row.
+ * @async
+ * @param {string} csvText - The contents of the CSV file.
+ * @returns {Promise<Object>} The plan returned by planExpectationWrites_; each row also has its line number in the file.
+ * @throws {Error} If the file is empty or is missing required columns.
+ */
+async function buildImportPlan(csvText) {
+    const [header, ...lines] = Utilities.parseCsv(csvText || '').filter(line => line.some(value => String(value).trim() !== ''));
+    if (!header) {
+        throw new Error('The import file is empty.');
+    }
+    const columns = header.map(name => IMPORT_COLUMNS.find(column => column.toLowerCase() === String(name).trim().toLowerCase()));
+    const missingColumns = IMPORT_REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missingColumns.length > 0) {
+        throw new Error(`The import file is missing columns: ${missingColumns.join(', ')}`);
+    }
+
+    const context = await loadExpectationPlanContext_();
+    const entries = lines.map((values, index) => {
+        const line = index + 2;
+        const record = {};
+        columns.forEach((column, i) => {
+            if (column) record[column] = String(values[i] === undefined ? '' : values[i]).trim();
+        });
+
+        let id = record.id ? Number(record.id) : null;
+        const existing = context.sheetRows[id] ? context.projected[context.sheetRows[id] - 3] : null;
+        const typeEntry = context.registry.find(({ expectationType }) => expectationType === record.expectationType);
+        const { expectation, reasons } = parseImportRecord(record, existing, Boolean(typeEntry && typeEntry.appliesToAll));
+        if (id !== null && !Number.isInteger(id)) {
+            reasons.push(`Invalid expectation ID: ${record.id}`);
+            id = null;
+        }
+        return { label: `row ${line} of this file`, line: line, id: id, expectation: expectation, reasons: reasons };
+    });
+
+    return await planExpectationWrites_(entries, context);
+}
+
+/**
+ * Converts the text values of an import row into an expectation.
+ * @param {Object<string, string>} record - The row values keyed by import column.
+ * @param {Array<any>|null} existing - The current sheet row when the row updates an expectation.
+ * @param {boolean} appliesToAll - Whether the row's expectation type applies to every agent, so it has no resource ID.
+ * @returns {{expectation: Object, reasons: Array<string>}} The expectation and any problems found while reading it.
+ */
+function parseImportRecord(record, existing, appliesToAll) {
+    const reasons = [];
+    const expectation = {
+        resourceId: appliesToAll ? -1 : Number(record.resourceId),
+        performance: Number(record.performance),
+        oneToOne: Number(record.oneToOne),
+        sideBySide: Number(record.sideBySide),
+        startDate: toExpectationDate(record.startDate),
+        endDate: toExpectationDate(record.endDate),
+        expectationType: record.expectationType,
+        active: existing ? existing[8] === true : true
+    };
+
+    if (!appliesToAll && (record.resourceId === '' || !Number.isInteger(expectation.resourceId))) {
+        reasons.push(`Invalid resource ID: ${record.resourceId}`);
+    }
+    [['performance', 'Performance'], ['oneToOne', '1-to-1'], ['sideBySide', 'Side-by-side']].forEach(([field, label]) => {
+        if (record[field] === '' || isNaN(expectation[field])) {
+            reasons.push(`Invalid ${label} value: ${record[field]}`);
+        }
+    });
+    if (!expectation.startDate) reasons.push(`Invalid start date: ${record.startDate}`);
+    if (!expectation.endDate) reasons.push(`Invalid end date: ${record.endDate}`);
+    if (record.active) {
+        const active = record.active.toLowerCase();
+        if (['true', 'yes', '1'].includes(active)) {
+            expectation.active = true;
+        } else if (['false', 'no', '0'].includes(active)) {
+            expectation.active = false;
+        } else {
+            reasons.push(`Invalid active value: ${record.active}`);
+        }
+    }
+
+    return { expectation: expectation, reasons: reasons };
+}
@@ -0,0 +1,224 @@
+/**
+ * What a planned expectation write would do.
+ * @type {Object<string, string>}
+ */
+const PLAN_ACTIONS = {
+    INSERT: 'insert',
+    UPDATE: 'update',
+    REJECT: 'reject'
+};
+
+/**
+ * The script property holding the last expectation ID handed out. IDs are only handed out under the script
+ * lock and the sequence never goes back, so an ID is not reused even if the row holding it is deleted.
+ * @type {string}
+ */
+const EXPECTATION_ID_SEQUENCE_PROPERTY = 'EXPECTATION_ID_SEQUENCE';
+
+/**
+ * Loads what is needed to plan a batch of expectation writes.
+ * @async
+ * @returns {Promise<Object>} The expectation rows (columns 1-9), the sheet row of each expectation ID,
+ *  the Employee rows, the expectation type registry, the next expectation ID in the sequence and
+ *  the current user's resource scopes (null if they are not limited to any).
+ */
+async function loadExpectationPlanContext_() {
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const ss = SpreadsheetApp.openById(COACHING_SHEET);
+    const sheet = ss.getSheetByName('tbl_coaching_expectations');
+    const projected = sheet.getRange(3, 1, sheet.getLastRow() - 2, 9).getValues();
+    const sheetRows = {};
+    projected.forEach((row, index) => sheetRows[Number(row[0])] = index + 3);
+
+    return {
+        projected: projected,
+        sheetRows: sheetRows,
+        employees: ss.getSheetByName('Employee').getDataRange().getValues().slice(1),
+        registry: await getExpectationTypeRegistry(),
+        nextId: Math.max(...projected.map(row => Number(row[0])), Number(PropertiesService.getScriptProperties().getProperty(EXPECTATION_ID_SEQUENCE_PROPERTY)) || 0) + 1,
+        scopes: getMyScopes()
+    };
+}
+
+/**
+ * Validates a batch of expectation writes in order and works out what each would do.
+ * Each valid entry is checked for overlaps against the sheet as it would look after the entries
+ * before it were saved, so overlaps within the batch are caught as well.
+ * @async
+ * @param {Array<Object>} entries - The writes to plan. Each has a label describing where it came from
+ *  (e.g. "row 4 of this file"), the ID to update or null to insert, the expectation and any reasons it
+ *  was already rejected. Other properties are passed through to the planned rows.
+ * @param {Object} context - The context returned by loadExpectationPlanContext_.
+ * @returns {Promise<Object>} The planned rows, a count of each action and the sheet rows of updated expectations.
+ *  Each updated row also has the expectation row it replaces as before.
+ */
+async function planExpectationWrites_(entries, context) {
+    const { projected, sheetRows, employees, registry, scopes } = context;
+    const labels = {};
+    const rows = [];
+
+    for (const entry of entries) {
+        const { label, id, expectation } = entry;
+        const reasons = [...entry.reasons];
+
+        if (id !== null) {
+            if (!Number.isInteger(id) || !sheetRows[id]) {
+                reasons.push(`Expectation ID ${id} not found.`);
+            } else if (labels[id]) {
+                reasons.push(`Expectation ID ${id} is also on ${labels[id]}.`);
+            } else {
+                const [, currentResourceId, , , , , , currentType] = projected[sheetRows[id] - 3];
+                if (!isInUserScope(scopes, currentResourceId, currentType, registry, employees)) {
+                    reasons.push(`Expectation ID ${id} is outside the resources you can edit.`);
+                }
+            }
+        }
+        const typeEntry = registry.find(({ expectationType }) => expectationType === expectation.expectationType);
+        if (!typeEntry) {
+            reasons.push(`Invalid expectation type: ${expectation.expectationType}`);
+        } else if (Number.isInteger(expectation.resourceId) && !resourceExists(expectation.resourceId, typeEntry, employees)) {
+            reasons.push(`Could not find ${expectation.expectationType} with ID of ${expectation.resourceId}`);
+        } else if (!isInUserScope(scopes, expectation.resourceId, expectation.expectationType, registry, employees)) {
+            reasons.push(`${expectation.expectationType} ${expectation.resourceId} is outside the resources you can edit.`);
+        }
+        if (reasons.length === 0) {
+            await validateExpectation(expectation).catch(() => reasons.push('Coaching values must be 0 or more and the dates must be in order, between 1990 and 3000.'));
+        }
+        if (reasons.length === 0) {
+            const conflictId = await checkForOverlap(expectation.resourceId, expectation.expectationType, expectation.startDate, expectation.endDate, id === null ? -1 : id, projected);
+            if (conflictId !== -1) {
+                reasons.push(labels[conflictId] ? `Overlaps ${labels[conflictId]}.` : `Overlaps existing expectation ${conflictId}.`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            rows.push({ ...entry, action: PLAN_ACTIONS.REJECT, reasons: reasons });
+            continue;
+        }
+
+        const rowId = id === null ? context.nextId++ : id;
+        const before = id === null ? null : projected[sheetRows[id] - 3];
+        const projectedRow = [rowId, expectation.resourceId, expectation.performance, expectation.oneToOne, expectation.sideBySide, expectation.startDate, expectation.endDate, expectation.expectationType, expectation.active];
+        if (id === null) {
+            projected.push(projectedRow);
+        } else {
+            projected[sheetRows[id] - 3] = projectedRow;
+        }
+        labels[rowId] = label;
+        rows.push({ ...entry, action: id === null ? PLAN_ACTIONS.INSERT : PLAN_ACTIONS.UPDATE, id: rowId, before: before, reasons: [] });
+    }
+
+    const summary = { insert: 0, update: 0, reject: 0 };
+    rows.forEach(row => summary[row.action]++);
+    return { rows: rows, summary: summary, sheetRows: sheetRows };
+}
+
+/**
+ * Lists the expectation types a plan would write, including the current type of each expectation it updates,
+ * so a change away from a type that needs approval is caught as well as a change to one.
+ * @param {Object} plan - The plan returned by planExpectationWrites_.
+ * @returns {Array<string>} The expectation types.
+ */
+function getPlanExpectationTypes_(plan) {
+    const types = new Set();
+    plan.rows
+        .filter(({ action }) => action !== PLAN_ACTIONS.REJECT)
+        .forEach(({ before, expectation }) => {
+            types.add(expectation.expectationType);
+            if (before) {
+                types.add(before[7]);
+            }
+        });
+    return [...types];
+}
+
+/**
+ * Saves the inserted and updated rows of a plan and moves the ID sequence past the inserted IDs.
+ * Rejected rows are skipped. Callers must hold the script lock from loading the plan's context until this returns.
+ * @async
+ * @param {Object} plan - The plan returned by planExpectationWrites_.
+ */
+async function writeExpectationPlan_(plan) {
+    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
+    const emId = await getUserEmID();
+    const currentDate = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    const newRows = [];
+
+    plan.rows.forEach(({ action, id, expectation }) => {
+        const values = [
+            expectation.resourceId,
+            expectation.performance,
+            expectation.oneToOne,
+            expectation.sideBySide,
+            expectation.startDate,
+            expectation.endDate,
+            expectation.expectationType,
+            expectation.active
+        ];
+        if (action === PLAN_ACTIONS.UPDATE) {
+            const rowToEdit = plan.sheetRows[id];
+            sheet.getRange(rowToEdit, 2, 1, values.length).setValues([values]);
+            sheet.getRange(rowToEdit, 12, 1, 2).setValues([[emId, currentDate]]);
+        } else if (action === PLAN_ACTIONS.INSERT) {
+            newRows.push([id, ...values, emId, currentDate, '', '']);
+        }
+    });
+
+    if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+        PropertiesService.getScriptProperties().setProperty(EXPECTATION_ID_SEQUENCE_PROPERTY, String(Math.max(...newRows.map(([id]) => id))));
+    }
+}
+
+/**
+ * Records the saved rows of a plan in the API change feed and the audit log.
+ * @async
+ * @param {Object} plan - The plan returned by planExpectationWrites_, after it has been written.
+ */
+async function recordExpectationPlanChanges_(plan) {
+    for (const { action, id, before, expectation } of plan.rows) {
+        if (action === PLAN_ACTIONS.REJECT) continue;
+        await recordExpectationChange_(id, action === PLAN_ACTIONS.INSERT ? 'created' : 'updated',
+            before ? rowToProposalExpectation_(before) : null, toProposalExpectation_(expectation));
+    }
+}
+
+/**
+ * Checks that the resource an expectation is set against exists.
+ * @param {number} resourceId - The resource ID.
+ * @param {Object} typeEntry - The registry entry of the expectation type.
+ * @param {Array<Array<any>>} employees - The Employee sheet rows, without the header.
+ * @returns {boolean} True if the resource exists.
+ */
+function resourceExists(resourceId, typeEntry, employees) {
+    if (typeEntry.appliesToAll) return true;
+    return employees.some(row => row[typeEntry.resourceIdCol - 1] !== '' && Number(row[typeEntry.resourceIdCol - 1]) === resourceId);
+}
+
+/**
+ * Normalizes a date to yyyy-MM-dd, the format the Expectations page saves.
+ * @param {Date|string} value - The date, as a sheet value or as text.
+ * @returns {string|null} The date, or null if it could not be read.
+ */
+function toExpectationDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    if (!value || isNaN(date)) return null;
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Moves a yyyy-MM-dd date by a number of days.
+ * @param {string} day - The date, as yyyy-MM-dd.
+ * @param {number} offset - The number of days to move it by; negative moves it back.
+ * @returns {string} The moved date, as yyyy-MM-dd.
+ */
+function shiftExpectationDate(day, offset) {
+    const timeZone = Session.getScriptTimeZone();
+    const date = Utilities.parseDate(day, timeZone, 'yyyy-MM-dd');
+    date.setDate(date.getDate() + offset);
+    return Utilities.formatDate(date, timeZone, 'yyyy-MM-dd');
+}
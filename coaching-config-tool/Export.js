@@ -0,0 +1,126 @@
+/**
+ * Column headers of the form export tab.
+ * @type {Array<string>}
+ */
+const FORM_EXPORT_HEADERS = ['Form ID', 'Form Name', 'Versions', 'Performance Coaching', '1 to 1', 'Side by Side', 'Modified By', 'Modified Date'];
+
+/**
+ * Column headers of the question export tab.
+ * @type {Array<string>}
+ */
+const QUESTION_EXPORT_HEADERS = ['Form ID', 'Form Name', 'Version', 'Question ID', 'Rank', 'Question Text', 'Type', 'Category', 'Hidden', 'Modified By', 'Modified Date'];
+
+/**
+ * Builds the form and question export tables from the coaching forms.
+ * @async
+ * @returns {Promise<{forms: Array<Array<any>>, questions: Array<Array<any>>}>} Each table, starting with its header row.
+ */
+async function getFormExport() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const formData = Object.values(await getFormData()).filter(form => form.performanceCoaching !== undefined);
+    const forms = [FORM_EXPORT_HEADERS];
+    const questions = [QUESTION_EXPORT_HEADERS];
+
+    formData.forEach(form => {
+        forms.push([form.id, form.name, form.versions.join(', '), form.performanceCoaching, form.oneToOne, form.sideBySide, form.modifiedBy, form.modifiedDate].map(toExportValue));
+        form.questions.forEach(question => {
+            questions.push([form.id, form.name, question.version, question.id, question.rank, question.text, question.type, question.category, question.hidden, question.modifiedBy, question.modifiedDate].map(toExportValue));
+        });
+    });
+
+    return { forms: forms, questions: questions };
+}
+
+/**
+ * Column headers of the expectation export tab.
+ * @type {Array<string>}
+ */
+const EXPECTATION_EXPORT_HEADERS = ['ID', 'Type', 'Name', 'Resource ID', 'Performance', '1-to-1', 'Side-by-side', 'Start Date', 'End Date', 'Active'];
+
+/**
+ * Builds the expectation export table from tbl_coaching_expectations, filtered the same way as the Expectations page:
+ * each search term must match the type or resource name, or be an ID written as id{123}, and archived expectations
+ * are left out unless asked for. Expectations whose resource no longer exists are left out, as they are on the page.
+ * @async
+ * @param {Object} filters - The filters shown on the Expectations page.
+ * @param {string} [filters.search] - The search text.
+ * @param {boolean} [filters.includeArchived] - Whether to include inactive expectations.
+ * @returns {Promise<Array<Array<any>>>} The table, starting with its header row, newest start date first.
+ */
+async function getExpectationExport_(filters) {
+    const { expectationTypes, resourceData, expectationData } = JSON.parse(await generateJSON());
+    const terms = String(filters.search || '').toLowerCase().split(' ').filter(term => term.length > 0);
+    const rows = [];
+
+    Object.entries(expectationData).forEach(([id, { expectationType, resourceId, performance, oneToOne, sideBySide, startDate, endDate, active }]) => {
+        const typeEntry = expectationTypes.find(entry => entry.expectationType === expectationType);
+        const typeData = resourceData[expectationType];
+        let name;
+        if (typeEntry && typeEntry.appliesToAll) {
+            name = 'All Agents';
+        } else if (typeData && typeData[resourceId] !== undefined) {
+            name = `${typeData[resourceId]} (${resourceId})`;
+        } else {
+            return;
+        }
+        if (!filters.includeArchived && !active) return;
+
+        const matches = terms.every(term => term.startsWith('id{') && term.endsWith('}')
+            ? id === term.slice(3, -1)
+            : [expectationType, name].some(value => String(value).toLowerCase().includes(term)));
+        if (matches) {
+            rows.push([id, expectationType, name, resourceId, performance, oneToOne, sideBySide,
+                new Date(startDate).toISOString().split('T')[0], new Date(endDate).toISOString().split('T')[0], active].map(toExportValue));
+        }
+    });
+
+    rows.sort((a, b) => b[7].localeCompare(a[7]));
+    return [EXPECTATION_EXPORT_HEADERS, ...rows];
+}
+
+/**
+ * Creates a spreadsheet with a tab for expectations, forms and questions and shares it with the current user.
+ * Every cell is formatted as plain text before it is written, so values such as "=..." or "1-2" are kept as typed.
+ *
+ * Each export is a new spreadsheet in the Drive of the account the tool runs as, named "Coaching Config Export"
+ * followed by the time it was made. Nothing deletes these files: the owner should remove old exports from
+ * that account's Drive, for example by searching for "Coaching Config Export".
+ * @async
+ * @param {Object|null} filters - The Expectations page filters, see getExpectationExport_. Leave out to export forms only.
+ * @returns {Promise<{name: string, url: string, xlsxUrl: string}>} Links to the spreadsheet and to an Excel download of it.
+ */
+async function exportToSpreadsheet(filters) {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const expectationRows = filters ? await getExpectationExport_(filters) : null;
+    const { forms, questions } = await getFormExport();
+    const name = `Coaching Config Export ${Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd HH:mm")}`;
+    const ss = SpreadsheetApp.create(name);
+    const tabs = [['Expectations', expectationRows], ['Forms', forms], ['Questions', questions]]
+        .filter(([, rows]) => Array.isArray(rows) && rows.length > 0);
+
+    tabs.forEach(([tabName, rows], index) => {
+        const sheet = index === 0 ? ss.getSheets()[0].setName(tabName) : ss.insertSheet(tabName);
+        sheet.getRange(1, 1, rows.length, rows[0].length)
+            .setNumberFormat('@')
+            .setValues(rows.map(row => row.map(value => String(value))));
+        sheet.setFrozenRows(1);
+    });
+
+    DriveApp.getFileById(ss.getId()).addEditor(Session.getActiveUser().getEmail());
+    logActivity(`Exported coaching config to ${ss.getId()}`);
+    return {
+        name: name,
+        url: ss.getUrl(),
+        xlsxUrl: `https://docs.google.com/spreadsheets/d/${ss.getId()}/export?format=xlsx`
+    };
+}
+
+/**
+ * Converts a sheet value into one that can be written to an export and sent to the client.
+ * @param {any} value - The value to convert.
+ * @returns {string|number|boolean} Dates as yyyy-MM-dd, missing values as empty strings and everything else unchanged.
+ */
+function toExportValue(value) {
+    if (value instanceof Date) return Utilities.formatDate(value, "EST", "yyyy-MM-dd");
+    return value === undefined || value === null ? '' : value;
+}
@@ -0,0 +1,167 @@
+/**
+ * Ways an expectation that overlaps the one being saved can be changed to make room for it.
+ * @type {Object<string, string>}
+ */
+const OVERLAP_RESOLUTIONS = {
+    TRUNCATE: 'truncate',
+    SPLIT: 'split',
+    ARCHIVE: 'archive'
+};
+
+/**
+ * Finds the active expectations that overlap an expectation being saved and how each can be resolved.
+ * @async
+ * @param {Object} expectation - The expectation being saved.
+ * @param {number|string|null} [expectationId] - The ID of the expectation being updated, or null when adding one.
+ * @returns {Promise<Array<Object>>} Each overlapping expectation with the resolutions that apply to it.
+ */
+async function getExpectationConflicts(expectation, expectationId = null) {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const context = await loadExpectationPlanContext_();
+    return findConflicts(expectation, toExpectationIdOrNull(expectationId), context.projected)
+        .map(({ existing, resolutions }) => ({
+            ...existing,
+            resolutions: resolutions.map(({ type, description }) => ({ type: type, description: description }))
+        }));
+}
+
+/**
+ * Saves an expectation together with the chosen resolution for each expectation it overlaps.
+ * Everything is planned and validated under the script lock and saved together, or not at all.
+ * @async
+ * @param {number|string|null} expectationId - The ID of the expectation being updated, or null when adding one.
+ * @param {Object} expectation - The expectation being saved.
+ * @param {Object<string, string>} resolutions - The chosen resolution for each overlapping expectation, keyed by its ID.
+ * @returns {Promise<Object>} The ID of the saved expectation and every row that was written.
+ * @throws {Error} If an overlap has no valid resolution, a write fails validation, the change must be submitted for approval or the lock could not be acquired.
+ */
+async function saveExpectationWithResolutions(expectationId, expectation, resolutions) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    const id = toExpectationIdOrNull(expectationId);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let plan;
+    try {
+        const context = await loadExpectationPlanContext_();
+        const entries = [];
+        findConflicts(expectation, id, context.projected).forEach(({ existing, resolutions: options }) => {
+            const choice = options.find(({ type }) => type === resolutions[existing.id]);
+            if (!choice) {
+                throw new Error(`Choose how to resolve the overlap with expectation ${existing.id}.`);
+            }
+            choice.writes.forEach(write => entries.push({ label: `the ${choice.type} of expectation ${existing.id}`, id: write.id, expectation: write.expectation, reasons: [] }));
+        });
+        entries.push({
+            label: 'the expectation being saved',
+            id: id,
+            expectation: {
+                resourceId: expectation.resourceId,
+                performance: expectation.performance,
+                oneToOne: expectation.oneToOne,
+                sideBySide: expectation.sideBySide,
+                startDate: toExpectationDate(expectation.startDate),
+                endDate: toExpectationDate(expectation.endDate),
+                expectationType: expectation.expectationType,
+                active: expectation.active !== false
+            },
+            reasons: []
+        });
+
+        plan = await planExpectationWrites_(entries, context);
+        const rejected = plan.rows.filter(({ action }) => action === PLAN_ACTIONS.REJECT);
+        if (rejected.length > 0) {
+            throw new Error(rejected.map(({ label, reasons }) => `Could not save ${label}: ${reasons.join(' ')}`).join(' '));
+        }
+        validateDirectSave_(getPlanExpectationTypes_(plan));
+        await writeExpectationPlan_(plan);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordExpectationPlanChanges_(plan);
+    const saved = plan.rows[plan.rows.length - 1];
+    logActivity(`Saved expectation ${saved.id} resolving overlaps (${Object.entries(resolutions).map(([conflictId, type]) => `${conflictId}: ${type}`).join(', ')})`);
+    return { id: saved.id, rows: plan.rows };
+}
+
+/**
+ * Finds the expectations overlapping an expectation being saved and works out the writes each resolution would make.
+ * @param {Object} expectation - The expectation being saved.
+ * @param {number|null} expectationId - The ID of the expectation being updated, or null when adding one.
+ * @param {Array<Array<any>>} rows - The expectation rows (columns 1-9) to check against.
+ * @returns {Array<{existing: Object, resolutions: Array<Object>}>} Each overlapping expectation and its resolutions.
+ */
+function findConflicts(expectation, expectationId, rows) {
+    const startDate = toExpectationDate(expectation.startDate);
+    const endDate = toExpectationDate(expectation.endDate);
+    return findOverlaps(expectation.resourceId, expectation.expectationType, startDate, endDate, expectationId === null ? -1 : expectationId, rows)
+        .map(row => {
+            const existing = {
+                id: Number(row[0]),
+                resourceId: row[1],
+                performance: row[2],
+                oneToOne: row[3],
+                sideBySide: row[4],
+                startDate: toExpectationDate(row[5]),
+                endDate: toExpectationDate(row[6]),
+                expectationType: row[7],
+                active: row[8] === true
+            };
+            return { existing: existing, resolutions: getOverlapResolutions(existing, startDate, endDate) };
+        });
+}
+
+/**
+ * Works out the resolutions that apply to an overlapping expectation.
+ * Truncating ends it the day before the new range. Splitting keeps the parts outside the new range,
+ * copying it when there is a part on both sides. Archiving always applies.
+ * @param {Object} existing - The overlapping expectation, with its ID.
+ * @param {string} startDate - The start date of the expectation being saved, as yyyy-MM-dd.
+ * @param {string} endDate - The end date of the expectation being saved, as yyyy-MM-dd.
+ * @returns {Array<{type: string, description: string, writes: Array<Object>}>} The resolutions and the writes each makes.
+ */
+function getOverlapResolutions(existing, startDate, endDate) {
+    const { id, ...values } = existing;
+    const dayBefore = shiftExpectationDate(startDate, -1);
+    const dayAfter = shiftExpectationDate(endDate, 1);
+    const resolutions = [];
+
+    if (values.startDate < startDate) {
+        resolutions.push({
+            type: OVERLAP_RESOLUTIONS.TRUNCATE,
+            description: `End it on ${dayBefore}.`,
+            writes: [{ id: id, expectation: { ...values, endDate: dayBefore } }]
+        });
+    }
+    if (values.endDate > endDate) {
+        resolutions.push(values.startDate < startDate
+            ? {
+                type: OVERLAP_RESOLUTIONS.SPLIT,
+                description: `Keep ${values.startDate} to ${dayBefore} and ${dayAfter} to ${values.endDate}.`,
+                writes: [
+                    { id: id, expectation: { ...values, endDate: dayBefore } },
+                    { id: null, expectation: { ...values, startDate: dayAfter } }
+                ]
+            }
+            : {
+                type: OVERLAP_RESOLUTIONS.SPLIT,
+                description: `Start it on ${dayAfter}.`,
+                writes: [{ id: id, expectation: { ...values, startDate: dayAfter } }]
+            });
+    }
+    resolutions.push({
+        type: OVERLAP_RESOLUTIONS.ARCHIVE,
+        description: 'Archive it.',
+        writes: [{ id: id, expectation: { ...values, active: false } }]
+    });
+    return resolutions;
+}
+
+/**
+ * Reads an expectation ID passed from the client, where new expectations have no ID.
+ * @param {number|string|null|undefined} expectationId - The ID.
+ * @returns {number|null} The ID, or null for a new expectation.
+ */
+function toExpectationIdOrNull(expectationId) {
+    return expectationId === null || expectationId === undefined || expectationId === '' ? null : Number(expectationId);
+}
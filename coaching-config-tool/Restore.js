@@ -0,0 +1,210 @@
+/**
+ * The fields of each entity that can be restored from the audit log. Form names and the form a question
+ * belongs to are recorded but cannot be edited, so they are left as they are.
+ * @type {Object<string, Array<string>>}
+ */
+const RESTORABLE_FIELDS = {
+    form: ['performance', 'oneToOne', 'sideBySide'],
+    question: ['text', 'category', 'hidden'],
+    expectation: ['resourceId', 'performance', 'oneToOne', 'sideBySide', 'startDate', 'endDate', 'expectationType', 'active']
+};
+
+/**
+ * The most audit entries a restore will read. A bulk restore covering more changes than this must be split up.
+ * @type {number}
+ */
+const RESTORE_ENTRY_LIMIT = 5000;
+
+/**
+ * Restores an expectation, form or question to how it was right after the given audit entry, by undoing every
+ * change recorded for it since. The restored version is saved like a normal edit, so it is validated and checked
+ * for overlaps, and is recorded in the audit log as a new change.
+ * @async
+ * @param {string} entity - The kind of entity: 'form', 'question' or 'expectation'.
+ * @param {number|string} entityId - The ID of the entity.
+ * @param {number|string} entryId - The ID of the audit entry whose version should be restored.
+ * @returns {Promise<Object>} The fields that were restored.
+ * @throws {Error} If the current user cannot read the audit log or edit the entity, the entry is not a version of
+ *  the entity, the entity no longer exists, it already matches that version or the restored version is invalid.
+ */
+async function revertToAuditVersion(entity, entityId, entryId) {
+    validatePermission(PERMISSIONS.AUDIT_READ);
+    if (!RESTORABLE_FIELDS[entity]) {
+        throw new Error(`${entity} changes cannot be reverted.`);
+    }
+
+    const entries = await CoachingDashboard.getAuditLog({ entity: entity, entityId: entityId, limit: RESTORE_ENTRY_LIMIT });
+    const entry = entries.find(({ id }) => id === Number(entryId));
+    if (!entry) {
+        throw new Error(`Audit entry ${entryId} is not a change to ${entity} ${entityId}.`);
+    }
+    if (entry.action === 'removed') {
+        throw new Error(`Audit entry ${entryId} removed ${entity} ${entityId}, so there is no version to restore.`);
+    }
+
+    const current = await loadRestorableVersion_(entity, entityId, {});
+    const version = { ...current };
+    // Entries are newest first, so each later change is undone before the one it followed
+    entries
+        .filter(({ id }) => id > entry.id)
+        .forEach(({ changes }) => changes
+            .filter(({ field }) => RESTORABLE_FIELDS[entity].includes(field))
+            .forEach(({ field, before }) => version[field] = before));
+
+    const restored = diffRestorableFields(entity, current, version);
+    if (restored.length === 0) {
+        throw new Error(`${entity} ${entityId} already matches audit entry ${entryId}.`);
+    }
+    await saveRestoredVersion_(entity, entityId, version);
+    logActivity(`Reverted ${entity} ${entityId} to audit entry ${entryId} (${restored.join(', ')})`);
+    return version;
+}
+
+/**
+ * Undoes every expectation, form and question change a user made between two times. A field is only put back if it
+ * still has the value the user left it with, so later changes by anyone else are kept and reported as conflicts.
+ * Created and removed entities are reported as skipped. Each entity is saved like a normal edit, so one that fails
+ * validation or would overlap another expectation is reported as failed and the rest are still restored.
+ * @async
+ * @param {string} actor - The email address of the user whose changes should be undone.
+ * @param {string} from - The start of the time range, as yyyy-MM-ddTHH:mm in the script's time zone.
+ * @param {string} to - The end of the time range, as yyyy-MM-ddTHH:mm in the script's time zone.
+ * @returns {Promise<Object>} The restored, skipped, conflicting and failed entities.
+ * @throws {Error} If the current user cannot restore changes, the arguments are invalid or the range covers too many changes.
+ */
+async function restoreChangesByUser(actor, from, to) {
+    validatePermission(PERMISSIONS.AUDIT_RESTORE);
+    actor = String(actor || '').trim().toLowerCase();
+    if (!actor) {
+        throw new Error("A user is required");
+    }
+    [from, to].forEach(time => {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(time || '')) throw new Error(`Invalid time: ${time}`);
+    });
+    if (from > to) {
+        throw new Error("The start of the range must be before the end");
+    }
+
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    const entries = await CoachingDashboard.getAuditLog({ actor: actor, from: from.slice(0, 10), to: to.slice(0, 10), limit: RESTORE_ENTRY_LIMIT });
+    if (entries.length >= RESTORE_ENTRY_LIMIT) {
+        throw new Error(`More than ${RESTORE_ENTRY_LIMIT} changes were made in this range. Please restore a shorter range.`);
+    }
+
+    // Group the user's changes by entity, newest first, so each entity's changes are undone in reverse order
+    const groups = {};
+    entries
+        .filter(entry => entry.actor.toLowerCase() === actor && RESTORABLE_FIELDS[entry.entity])
+        .filter(entry => new Date(entry.timestamp).getTime() >= start && new Date(entry.timestamp).getTime() <= end)
+        .forEach(entry => (groups[`${entry.entity}:${entry.entityId}`] = groups[`${entry.entity}:${entry.entityId}`] || []).push(entry));
+
+    const result = { restored: [], skipped: [], conflicts: [], failed: [] };
+    const sources = {};
+    for (const group of Object.values(groups)) {
+        const { entity, entityId } = group[0];
+        const label = { entity: entity, entityId: entityId };
+        const structural = group.find(({ action }) => action !== 'updated');
+        if (structural) {
+            result.skipped.push({ ...label, reason: `The ${entity} was ${structural.action} in this range.` });
+            continue;
+        }
+
+        try {
+            const current = await loadRestorableVersion_(entity, entityId, sources);
+            const version = { ...current };
+            const conflicts = new Set();
+            group.forEach(({ changes }) => changes
+                .filter(({ field }) => RESTORABLE_FIELDS[entity].includes(field))
+                .forEach(({ field, before, after }) => {
+                    if (JSON.stringify(version[field]) === JSON.stringify(after)) {
+                        version[field] = before;
+                    } else {
+                        conflicts.add(field);
+                    }
+                }));
+            if (conflicts.size > 0) {
+                result.conflicts.push({ ...label, fields: [...conflicts] });
+            }
+            if (diffRestorableFields(entity, current, version).length === 0) continue;
+
+            await saveRestoredVersion_(entity, entityId, version);
+            result.restored.push(label);
+        } catch (error) {
+            Logger.log(`Unable to restore ${entity} ${entityId}: ${error}`);
+            result.failed.push({ ...label, error: error.message });
+        }
+    }
+
+    logActivity(`Restored changes by ${actor} between ${from} and ${to} (${result.restored.length} restored, ${result.skipped.length} skipped, ${result.conflicts.length} with conflicts, ${result.failed.length} failed)`);
+    return result;
+}
+
+/**
+ * Loads the current version of an expectation, form or question, with the same fields the audit log records.
+ * @async
+ * @param {string} entity - The kind of entity: 'form', 'question' or 'expectation'.
+ * @param {number|string} entityId - The ID of the entity.
+ * @param {Object} sources - Data already loaded by earlier calls, so a bulk restore only loads it once.
+ * @returns {Promise<Object>} The entity's fields.
+ * @throws {Error} If the entity does not exist or has been removed.
+ */
+async function loadRestorableVersion_(entity, entityId, sources) {
+    if (entity === 'expectation') {
+        sources.expectations = sources.expectations || await loadExpectationPlanContext_();
+        const { projected, sheetRows } = sources.expectations;
+        if (!sheetRows[Number(entityId)]) {
+            throw new Error(`Expectation ID (${entityId}) not found.`);
+        }
+        return rowToProposalExpectation_(projected[sheetRows[Number(entityId)] - 3]);
+    }
+
+    sources.forms = sources.forms || Object.values(await getFormData()).filter(form => form.performanceCoaching !== undefined);
+    if (entity === 'form') {
+        const form = sources.forms.find(({ id }) => String(id) === String(entityId));
+        if (!form) {
+            throw new Error(`Form ${entityId} not found.`);
+        }
+        return { name: form.name, performance: form.performanceCoaching === true, oneToOne: form.oneToOne === true, sideBySide: form.sideBySide === true };
+    }
+
+    for (const form of sources.forms) {
+        const question = form.questions.find(({ id }) => String(id) === String(entityId));
+        if (question) {
+            return { formId: Number(form.id), text: String(question.text), category: String(question.category), hidden: question.hidden === true };
+        }
+    }
+    throw new Error(`Question ${entityId} not found.`);
+}
+
+/**
+ * Lists the restorable fields that differ between two versions of an entity.
+ * @param {string} entity - The kind of entity: 'form', 'question' or 'expectation'.
+ * @param {Object} current - The current version.
+ * @param {Object} version - The version to restore.
+ * @returns {Array<string>} The fields that would change.
+ */
+function diffRestorableFields(entity, current, version) {
+    return RESTORABLE_FIELDS[entity].filter(field => JSON.stringify(current[field]) !== JSON.stringify(version[field]));
+}
+
+/**
+ * Saves a restored version through the same function as a normal edit, so it gets the same permission checks and validation.
+ * @async
+ * @param {string} entity - The kind of entity: 'form', 'question' or 'expectation'.
+ * @param {number|string} entityId - The ID of the entity.
+ * @param {Object} version - The version to save.
+ */
+async function saveRestoredVersion_(entity, entityId, version) {
+    switch (entity) {
+        case 'form':
+            await saveForm(entityId, version.performance, version.oneToOne, version.sideBySide);
+            break;
+        case 'question':
+            await saveQuestion(entityId, version.text, version.category, version.hidden);
+            break;
+        case 'expectation':
+            await updateExpectationData(Number(entityId), version);
+            break;
+    }
+}
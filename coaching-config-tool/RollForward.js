@@ -0,0 +1,121 @@
+/**
+ * How copied targets can be adjusted when expectations are rolled forward.
+ * @type {Object<string, string>}
+ */
+const ROLL_FORWARD_ADJUSTMENTS = {
+    NONE: 'none',
+    PERCENT: 'percent',
+    ABSOLUTE: 'absolute'
+};
+
+/**
+ * Works out which expectations a roll forward would copy without saving anything.
+ * @async
+ * @param {Object} options - The roll forward options, see buildRollForwardPlan.
+ * @returns {Promise<Object>} The planned copy of each matching expectation and a count of each action.
+ * @throws {Error} If the options are invalid.
+ */
+async function previewRollForward(options) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    const plan = await buildRollForwardPlan(options);
+    return { rows: plan.rows, summary: plan.summary };
+}
+
+/**
+ * Copies the matching expectations into the new date range. The copies are planned again under the
+ * script lock; copies that would overlap an existing expectation are skipped and reported.
+ * @async
+ * @param {Object} options - The roll forward options, see buildRollForwardPlan.
+ * @returns {Promise<Object>} The planned copies, including the IDs of saved expectations, and a count of each action.
+ * @throws {Error} If the options are invalid, nothing can be copied, the copies must be submitted for approval or the lock could not be acquired.
+ */
+async function commitRollForward(options) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let plan;
+    try {
+        plan = await buildRollForwardPlan(options);
+        if (plan.summary.insert === 0) {
+            throw new Error('There are no expectations that can be copied forward.');
+        }
+        validateDirectSave_(getPlanExpectationTypes_(plan));
+        await writeExpectationPlan_(plan);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordExpectationPlanChanges_(plan);
+    logActivity(`Rolled expectations forward to ${options.startDate} - ${options.endDate} (${plan.summary.insert} copied, ${plan.summary.reject} skipped)`);
+    return { rows: plan.rows, summary: plan.summary };
+}
+
+/**
+ * Plans a copy of every active expectation that matches the filter, moved into the new date range.
+ * @async
+ * @param {Object} options - The roll forward options.
+ * @param {string} [options.expectationType] - Only copy expectations of this type. Leave empty to copy every type.
+ * @param {string} options.sourceEndDate - Only copy expectations ending on this date, as yyyy-MM-dd.
+ * @param {string} options.startDate - The start date of the copies, as yyyy-MM-dd.
+ * @param {string} options.endDate - The end date of the copies, as yyyy-MM-dd.
+ * @param {string} [options.adjustmentType='none'] - How to adjust the targets, one of ROLL_FORWARD_ADJUSTMENTS.
+ * @param {number} [options.adjustmentValue=0] - The percentage or amount to add to each target.
+ * @returns {Promise<Object>} The plan returned by planExpectationWrites_; each row also has the ID and targets of the expectation it copies.
+ * @throws {Error} If the options are invalid.
+ */
+async function buildRollForwardPlan(options) {
+    const { expectationType = '', adjustmentType = ROLL_FORWARD_ADJUSTMENTS.NONE } = options;
+    const sourceEndDate = toExpectationDate(options.sourceEndDate);
+    const startDate = toExpectationDate(options.startDate);
+    const endDate = toExpectationDate(options.endDate);
+    const adjustmentValue = Number(options.adjustmentValue || 0);
+
+    if (!sourceEndDate) throw new Error(`Invalid end date to copy from: ${options.sourceEndDate}`);
+    if (!startDate || !endDate) throw new Error('The new start and end dates are required.');
+    if (!Object.values(ROLL_FORWARD_ADJUSTMENTS).includes(adjustmentType)) throw new Error(`Invalid adjustment type: ${adjustmentType}`);
+    if (isNaN(adjustmentValue)) throw new Error(`Invalid adjustment value: ${options.adjustmentValue}`);
+
+    const context = await loadExpectationPlanContext_();
+    const sources = context.projected.filter(row =>
+        row[8] === true &&
+        (!expectationType || row[7] === expectationType) &&
+        toExpectationDate(row[6]) === sourceEndDate
+    );
+
+    const entries = sources.map(row => ({
+        label: `the copy of expectation ${row[0]}`,
+        sourceId: Number(row[0]),
+        previous: { performance: row[2], oneToOne: row[3], sideBySide: row[4] },
+        id: null,
+        expectation: {
+            resourceId: row[1],
+            performance: adjustTarget(row[2], adjustmentType, adjustmentValue),
+            oneToOne: adjustTarget(row[3], adjustmentType, adjustmentValue),
+            sideBySide: adjustTarget(row[4], adjustmentType, adjustmentValue),
+            startDate: startDate,
+            endDate: endDate,
+            expectationType: row[7],
+            active: true
+        },
+        reasons: []
+    }));
+
+    return await planExpectationWrites_(entries, context);
+}
+
+/**
+ * Applies a roll forward adjustment to a target.
+ * @param {number} value - The current target.
+ * @param {string} adjustmentType - How to adjust the target, one of ROLL_FORWARD_ADJUSTMENTS.
+ * @param {number} adjustmentValue - The percentage or amount to add.
+ * @returns {number} The adjusted target, rounded to the 3 decimals the Expectations page allows.
+ */
+function adjustTarget(value, adjustmentType, adjustmentValue) {
+    let adjusted = Number(value);
+    if (adjustmentType === ROLL_FORWARD_ADJUSTMENTS.PERCENT) {
+        adjusted = adjusted * (1 + adjustmentValue / 100);
+    } else if (adjustmentType === ROLL_FORWARD_ADJUSTMENTS.ABSOLUTE) {
+        adjusted = adjusted + adjustmentValue;
+    }
+    return Math.round(adjusted * 1000) / 1000;
+}
@@ -0,0 +1,421 @@
+/**
+ * Where scheduled form and question changes are stored, and the trigger that applies them.
+ * @type {Object}
+ */
+const SCHEDULED_CHANGES = {
+    SHEET_NAME: 'tbl_scheduled_changes',
+    HEADERS: ['ID', 'Status', 'Entity', 'Entity ID', 'Changes', 'Effective Date', 'Scheduled By', 'Scheduled On', 'Applied On', 'Result'],
+    TRIGGER_FUNCTION: 'applyScheduledChanges'
+};
+
+/**
+ * The states a scheduled change can be in.
+ * @type {Object<string, string>}
+ */
+const SCHEDULED_CHANGE_STATUS = {
+    PENDING: 'pending',
+    APPLIED: 'applied',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * The fields that can be scheduled for each kind of entity.
+ * @type {Object<string, Array<string>>}
+ */
+const SCHEDULED_CHANGE_FIELDS = {
+    form: ['performanceCoaching', 'oneToOne', 'sideBySide'],
+    question: ['category', 'hidden']
+};
+
+/**
+ * Returns the scheduled changes that have not been applied yet, and the ones that failed to apply.
+ * @async
+ * @returns {Promise<Array<Object>>} The changes, soonest first, each with a label naming the form or question.
+ */
+async function getScheduledChanges() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const formData = await getFormData();
+    return loadScheduledChanges_()
+        .map(({ change }) => change)
+        .filter(({ status }) => status === SCHEDULED_CHANGE_STATUS.PENDING || status === SCHEDULED_CHANGE_STATUS.FAILED)
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate) || a.id - b.id)
+        .map(change => ({ ...change, label: getScheduledChangeLabel_(change, formData) }));
+}
+
+/**
+ * Schedules a change to a form's coaching flags.
+ * @async
+ * @param {number|string} formId - The ID of the form.
+ * @param {string} effectiveDate - The day the change applies, as yyyy-MM-dd. Must be in the future.
+ * @param {boolean} performanceCoaching - The new value of the performance coaching flag.
+ * @param {boolean} oneToOne - The new value of the one-to-one flag.
+ * @param {boolean} sideBySide - The new value of the side-by-side flag.
+ * @returns {Promise<Object>} The scheduled change.
+ * @throws {Error} If the current user is not an editor, the form is not active or the date is not in the future.
+ */
+async function scheduleFormChange(formId, effectiveDate, performanceCoaching, oneToOne, sideBySide) {
+    validatePermission(PERMISSIONS.FORMS_WRITE);
+    return await addScheduledChange_('form', formId, effectiveDate, { performanceCoaching, oneToOne, sideBySide });
+}
+
+/**
+ * Schedules a change to a question's category and hidden flag.
+ * @async
+ * @param {number|string} questionId - The ID of the question.
+ * @param {string} effectiveDate - The day the change applies, as yyyy-MM-dd. Must be in the future.
+ * @param {string} category - The new category.
+ * @param {boolean} hidden - The new value of the hidden flag.
+ * @returns {Promise<Object>} The scheduled change.
+ * @throws {Error} If the current user is not an editor, the question or category does not exist or the date is not in the future.
+ */
+async function scheduleQuestionChange(questionId, effectiveDate, category, hidden) {
+    validatePermission(PERMISSIONS.FORMS_WRITE);
+    return await addScheduledChange_('question', questionId, effectiveDate, { category, hidden });
+}
+
+/**
+ * Changes the date or values of a pending scheduled change. A change that failed to apply is scheduled again.
+ * @async
+ * @param {number|string} changeId - The ID of the scheduled change.
+ * @param {string} effectiveDate - The day the change applies, as yyyy-MM-dd. Must be in the future.
+ * @param {Object} changes - The new values, see SCHEDULED_CHANGE_FIELDS.
+ * @returns {Promise<Object>} The updated change.
+ * @throws {Error} If the current user is not an editor, the change was applied or cancelled, or the new values are invalid.
+ */
+async function editScheduledChange(changeId, effectiveDate, changes) {
+    validatePermission(PERMISSIONS.FORMS_WRITE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const { change: existing } = findOpenScheduledChange_(changeId);
+    const validated = await validateScheduledChange_(existing.entity, existing.entityId, effectiveDate, changes);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        const found = findOpenScheduledChange_(changeId);
+        found.change.effectiveDate = validated.effectiveDate;
+        found.change.changes = validated.changes;
+        found.change.status = SCHEDULED_CHANGE_STATUS.PENDING;
+        found.change.result = '';
+        saveScheduledChange_(found);
+        logActivity(`Edited scheduled change ${found.change.id} for ${found.change.entity} ${found.change.entityId}`);
+        return found.change;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Cancels a scheduled change that is pending or failed to apply.
+ * @async
+ * @param {number|string} changeId - The ID of the scheduled change.
+ * @returns {Promise<Object>} The cancelled change.
+ * @throws {Error} If the current user is not an editor or the change was applied or cancelled.
+ */
+async function cancelScheduledChange(changeId) {
+    validatePermission(PERMISSIONS.FORMS_WRITE);
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        const found = findOpenScheduledChange_(changeId);
+        found.change.status = SCHEDULED_CHANGE_STATUS.CANCELLED;
+        found.change.result = `Cancelled by ${Session.getActiveUser().getEmail()}`;
+        saveScheduledChange_(found);
+        logActivity(`Cancelled scheduled change ${found.change.id} for ${found.change.entity} ${found.change.entityId}`);
+        return found.change;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Applies the scheduled changes that are due. Run daily just after midnight by the installable trigger.
+ * @async
+ * @param {Object} e - The event object passed by the trigger.
+ * @returns {Promise<Object>} The IDs of the applied and failed changes.
+ * @throws {Error} If it was not called by the daily trigger.
+ */
+async function applyScheduledChanges(e) {
+    validateTriggerEvent_(e, SCHEDULED_CHANGES.TRIGGER_FUNCTION);
+    AUDIT_SOURCE = AUDIT_SOURCES.TRIGGER;
+    return await applyScheduledChanges_();
+}
+
+/**
+ * Applies every pending change that is due, through the same updateForm and updateQuestion
+ * validation as a change saved from the Forms page.
+ * A change that fails is marked as failed with the error and the rest are still applied.
+ * Each change is reloaded under the script lock and applied only if it is still pending and due, so a change
+ * edited or cancelled during the run is left as it is.
+ * @async
+ * @returns {Promise<Object>} The IDs of the applied and failed changes.
+ */
+async function applyScheduledChanges_() {
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    const due = loadScheduledChanges_()
+        .filter(({ change }) => change.status === SCHEDULED_CHANGE_STATUS.PENDING && change.effectiveDate <= today)
+        .sort((a, b) => a.change.effectiveDate.localeCompare(b.change.effectiveDate) || a.change.id - b.change.id);
+    const formData = due.some(({ change }) => change.entity === 'question') ? await getFormData() : {};
+
+    const applied = [];
+    const failed = [];
+    for (const { change: { id } } of due) {
+        const lock = LockService.getScriptLock();
+        lock.waitLock(LOCK_WAIT_TIME);
+        try {
+            const found = loadScheduledChanges_().find(({ change }) => change.id === id);
+            if (!found || found.change.status !== SCHEDULED_CHANGE_STATUS.PENDING || found.change.effectiveDate > today) {
+                continue;
+            }
+            const { change } = found;
+            try {
+                if (change.entity === 'form') {
+                    const { performanceCoaching, oneToOne, sideBySide } = change.changes;
+                    await CoachingDashboard.updateForm(change.entityId, performanceCoaching, oneToOne, sideBySide, AUDIT_SOURCE);
+                } else {
+                    const question = findQuestion_(change.entityId, formData);
+                    if (!question) {
+                        throw new Error(`Question ${change.entityId} not found.`);
+                    }
+                    await CoachingDashboard.updateQuestion(change.entityId, question.text, change.changes.category, change.changes.hidden, AUDIT_SOURCE);
+                    question.category = change.changes.category;
+                    question.hidden = change.changes.hidden;
+                }
+                change.status = SCHEDULED_CHANGE_STATUS.APPLIED;
+                change.result = '';
+                applied.push(change.id);
+            } catch (error) {
+                Logger.log(`Unable to apply scheduled change ${change.id}: ${error}`);
+                change.status = SCHEDULED_CHANGE_STATUS.FAILED;
+                change.result = error.message || String(error);
+                failed.push(change.id);
+            }
+            change.appliedOn = new Date().toISOString();
+            saveScheduledChange_(found);
+        } finally {
+            lock.releaseLock();
+        }
+    }
+
+    logActivity(`Applied ${applied.length} scheduled change(s), ${failed.length} failed`);
+    return { applied: applied, failed: failed };
+}
+
+/**
+ * Validates and saves a new scheduled change, installing the daily trigger if needed.
+ * @async
+ * @param {string} entity - 'form' or 'question'.
+ * @param {number|string} entityId - The ID of the form or question.
+ * @param {string} effectiveDate - The day the change applies, as yyyy-MM-dd.
+ * @param {Object} changes - The new values, see SCHEDULED_CHANGE_FIELDS.
+ * @returns {Promise<Object>} The scheduled change.
+ * @throws {Error} If the change is invalid.
+ */
+async function addScheduledChange_(entity, entityId, effectiveDate, changes) {
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
+
+    const validated = await validateScheduledChange_(entity, entityId, effectiveDate, changes);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let change;
+    try {
+        const sheet = getScheduledChangeSheet_();
+        const ids = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().flat().map(Number) : [];
+        change = {
+            id: ids.length > 0 ? Math.max(...ids) + 1 : 1,
+            status: SCHEDULED_CHANGE_STATUS.PENDING,
+            entity: entity,
+            entityId: Number(entityId),
+            changes: validated.changes,
+            effectiveDate: validated.effectiveDate,
+            scheduledBy: Session.getActiveUser().getEmail(),
+            scheduledOn: new Date().toISOString(),
+            appliedOn: '',
+            result: ''
+        };
+        sheet.appendRow(toScheduledChangeRow_(change));
+    } finally {
+        lock.releaseLock();
+    }
+
+    ensureScheduledChangesTrigger_();
+    logActivity(`Scheduled change ${change.id} for ${entity} ${entityId} on ${change.effectiveDate}`);
+    return change;
+}
+
+/**
+ * Checks that a scheduled change is for an active form or an existing question, has valid values and a future date.
+ * @async
+ * @param {string} entity - 'form' or 'question'.
+ * @param {number|string} entityId - The ID of the form or question.
+ * @param {string} effectiveDate - The day the change applies, as yyyy-MM-dd.
+ * @param {Object} changes - The new values, see SCHEDULED_CHANGE_FIELDS.
+ * @returns {Promise<{effectiveDate: string, changes: Object}>} The date and the values, keeping only the schedulable fields.
+ * @throws {Error} If the change is invalid.
+ */
+async function validateScheduledChange_(entity, entityId, effectiveDate, changes) {
+    const fields = SCHEDULED_CHANGE_FIELDS[entity];
+    if (!fields) throw new Error(`Invalid entity: ${entity}`);
+
+    const day = toExpectationDate(effectiveDate);
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    if (!day) throw new Error(`Invalid effective date: ${effectiveDate}`);
+    if (day <= today) throw new Error('Scheduled changes must take effect after today.');
+
+    const formData = await getFormData();
+    if (entity === 'form') {
+        const form = formData[entityId];
+        if (!form || form.performanceCoaching === undefined) throw new Error(`Form ${entityId} is not an active form.`);
+        if (fields.some(field => typeof changes[field] !== 'boolean')) throw new Error('Each form flag must be true or false.');
+    } else {
+        const question = findQuestion_(entityId, formData);
+        if (!question) throw new Error(`Question ${entityId} not found.`);
+        if (question.type === 'Agent Name Validation') throw new Error(`Question ${entityId} validates the agent name and cannot be changed.`);
+        if (!(await CoachingDashboard.getAllQuestionCategories()).includes(changes.category)) throw new Error(`Invalid question category: ${changes.category}`);
+        if (typeof changes.hidden !== 'boolean') throw new Error('The hidden flag must be true or false.');
+    }
+
+    const values = {};
+    fields.forEach(field => values[field] = changes[field]);
+    return { effectiveDate: day, changes: values };
+}
+
+/**
+ * Installs the daily trigger that applies scheduled changes, unless it is already installed.
+ */
+function ensureScheduledChangesTrigger_() {
+    const installed = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === SCHEDULED_CHANGES.TRIGGER_FUNCTION);
+    if (!installed) {
+        ScriptApp.newTrigger(SCHEDULED_CHANGES.TRIGGER_FUNCTION).timeBased().everyDays(1).atHour(0).create();
+    }
+}
+
+/**
+ * Finds a question in the form data.
+ * @param {number|string} questionId - The ID of the question.
+ * @param {Object} formData - The form data returned by getFormData.
+ * @returns {Object|undefined} The question, or undefined if it does not exist.
+ */
+function findQuestion_(questionId, formData) {
+    for (const form of Object.values(formData)) {
+        const question = form.questions.find(({ id }) => Number(id) === Number(questionId));
+        if (question) return question;
+    }
+    return undefined;
+}
+
+/**
+ * Names the form or question a scheduled change applies to.
+ * @param {Object} change - The scheduled change.
+ * @param {Object} formData - The form data returned by getFormData.
+ * @returns {string} The label.
+ */
+function getScheduledChangeLabel_({ entity, entityId }, formData) {
+    if (entity === 'form') {
+        return formData[entityId] ? `Form ${entityId}: ${formData[entityId].name}` : `Form ${entityId}`;
+    }
+    const question = findQuestion_(entityId, formData);
+    return question && question.text ? `Question ${entityId}: ${question.text}` : `Question ${entityId}`;
+}
+
+/**
+ * Finds a scheduled change that is still pending or failed to apply.
+ * @param {number|string} changeId - The ID of the scheduled change.
+ * @returns {{change: Object, sheetRow: number}} The change and its row on the scheduled changes sheet.
+ * @throws {Error} If the change does not exist, was applied or was cancelled.
+ */
+function findOpenScheduledChange_(changeId) {
+    const found = loadScheduledChanges_().find(({ change }) => change.id === Number(changeId));
+    if (!found) {
+        throw new Error(`Scheduled change ${changeId} not found.`);
+    }
+    if (found.change.status !== SCHEDULED_CHANGE_STATUS.PENDING && found.change.status !== SCHEDULED_CHANGE_STATUS.FAILED) {
+        throw new Error(`Scheduled change ${changeId} has already been ${found.change.status}.`);
+    }
+    return found;
+}
+
+/**
+ * Loads every scheduled change from the scheduled changes sheet.
+ * @returns {Array<{change: Object, sheetRow: number}>} The changes and their rows, oldest first.
+ */
+function loadScheduledChanges_() {
+    const sheet = getScheduledChangeSheet_();
+    if (sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHEDULED_CHANGES.HEADERS.length).getValues()
+        .map((row, index) => ({
+            sheetRow: index + 2,
+            change: {
+                id: Number(row[0]),
+                status: row[1],
+                entity: row[2],
+                entityId: Number(row[3]),
+                changes: JSON.parse(row[4]),
+                effectiveDate: row[5],
+                scheduledBy: row[6],
+                scheduledOn: row[7],
+                appliedOn: row[8],
+                result: row[9]
+            }
+        }));
+}
+
+/**
+ * Writes a scheduled change back to its row on the scheduled changes sheet.
+ * @param {{change: Object, sheetRow: number}} found - The change and its row.
+ */
+function saveScheduledChange_({ change, sheetRow }) {
+    getScheduledChangeSheet_().getRange(sheetRow, 1, 1, SCHEDULED_CHANGES.HEADERS.length).setValues([toScheduledChangeRow_(change)]);
+}
+
+/**
+ * Converts a scheduled change to a row on the scheduled changes sheet.
+ * @param {Object} change - The scheduled change.
+ * @returns {Array<any>} The row.
+ */
+function toScheduledChangeRow_(change) {
+    return [
+        change.id,
+        change.status,
+        change.entity,
+        change.entityId,
+        JSON.stringify(change.changes),
+        change.effectiveDate,
+        change.scheduledBy,
+        change.scheduledOn,
+        change.appliedOn,
+        change.result
+    ];
+}
+
+/**
+ * Returns the scheduled changes sheet, creating it if needed. Dates are stored as text so the sheet does not convert them.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The scheduled changes sheet.
+ */
+function getScheduledChangeSheet_() {
+    const ss = SpreadsheetApp.openById(COACHING_SHEET);
+    let sheet = ss.getSheetByName(SCHEDULED_CHANGES.SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(SCHEDULED_CHANGES.SHEET_NAME);
+        sheet.getRange(1, 1, 1, SCHEDULED_CHANGES.HEADERS.length).setValues([SCHEDULED_CHANGES.HEADERS]);
+        sheet.getRange('A:J').setNumberFormat('@');
+    }
+    return sheet;
+}
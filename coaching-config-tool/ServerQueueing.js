@@ -1,52 +1,520 @@
 /**
- * An array to hold function calls and their parameters.
- * @type {Array<Object>}
+ * Where queued jobs are stored, how failed jobs are retried and the trigger that runs jobs left in the queue.
+ * Job IDs come from a sequence so a pruned job's ID is never given to a new one.
+ * @type {Object}
  */
-let functionQueue = [];
+const JOB_QUEUE = {
+  SHEET_NAME: 'tbl_job_queue',
+  HEADERS: ['ID', 'Function', 'Parameters', 'Submitted By', 'Submitted On', 'Status', 'Attempts', 'Next Attempt', 'Started On', 'Completed On', 'Error', 'Result'],
+  SETTINGS_PROPERTY: 'JOB_QUEUE_SETTINGS',
+  ID_SEQUENCE_PROPERTY: 'JOB_QUEUE_ID_SEQUENCE',
+  TRIGGER_FUNCTION: 'runQueuedJobs',
+  DEFAULT_SETTINGS: { maxAttempts: 3, backoffSeconds: 5 },
+  STALE_MINUTES: 10,
+  RETENTION_DAYS: 30
+};
 
 /**
- * A flag to indicate if the queue is currently being processed.
- * @type {boolean}
+ * The states a job can be in. Jobs waiting to be retried are queued with a later next attempt.
+ * @type {Object<string, string>}
  */
-let isProcessing = false;
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
 
 /**
- * Enqueues a function call for later execution.
+ * Errors worth retrying: the work may succeed once another save finishes or the service recovers.
+ * Anything else, such as a validation failure, fails the job straight away.
+ * @type {RegExp}
+ */
+const RETRYABLE_JOB_ERROR = /lock|timed out|timeout|service (invoked too many times|error|unavailable)|try again/i;
+
+/**
+ * The parameter schema of an expectation sent from the Expectations page. Other properties are ignored.
+ * @type {Object}
+ */
+const EXPECTATION_PARAM = {
+  name: 'expectation',
+  type: 'object',
+  fields: {
+    resourceId: { type: 'integer' },
+    performance: { type: 'number' },
+    oneToOne: { type: 'number' },
+    sideBySide: { type: 'number' },
+    startDate: { type: 'string' },
+    endDate: { type: 'string' },
+    expectationType: { type: 'string' },
+    active: { type: 'boolean', optional: true }
+  }
+};
+
+/**
+ * The only functions that can be called through enqueue. Each declares the permission needed to call it,
+ * the schema its parameters must match and whether it changes data. Jobs that change data run one at a time.
+ * @type {Object<string, {permission: string, params: Array<Object>, mutates: boolean}>}
+ */
+const QUEUEABLE_OPERATIONS = {
+  updateExpectationData: {
+    permission: PERMISSIONS.EXPECTATIONS_WRITE,
+    params: [{ name: 'expectationId', type: 'integer' }, EXPECTATION_PARAM],
+    mutates: true
+  },
+  setExpectationStatus: {
+    permission: PERMISSIONS.EXPECTATIONS_WRITE,
+    params: [{ name: 'expectationId', type: 'integer' }, { name: 'isActive', type: 'boolean' }],
+    mutates: true
+  },
+  addNewExpectation: {
+    permission: PERMISSIONS.EXPECTATIONS_WRITE,
+    params: [EXPECTATION_PARAM],
+    mutates: true
+  }
+};
+
+/**
+ * Adds a function call to the job queue and tries to run it straight away.
+ * Only one job that changes data runs at a time across every user. If another one is running, or this job fails with an error
+ * worth retrying, it stays queued and runs when its submitter next polls it with getJob or, failing that, from the job queue trigger.
  *
  * @async
  * @param {string} functionName - The name of the function to call.
  * @param {...*} params - The parameters to pass to the function.
+ * @returns {Promise<Object>} The job, including its result or error if it has finished.
+ * @throws {Error} If the function is not in QUEUEABLE_OPERATIONS, the current user does not have its permission,
+ *  the parameters do not match its schema or the lock could not be acquired.
  */
 async function enqueue(functionName, ...params) {
-  logActivity('Function sent to Queue (' + functionName + ')');
-  functionQueue.push({ functionName, params });
+  if (!COACHING_SHEET) {
+    await initialize();
+  }
+  authorizeJob_(functionName, params);
 
-  if (!isProcessing) {
-    isProcessing = true;
-    await processQueue();
-    isProcessing = false;
+  const lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_WAIT_TIME);
+  let job;
+  try {
+    pruneJobs_();
+    const properties = PropertiesService.getScriptProperties();
+    const sheet = getJobSheet_();
+    const ids = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().flat().map(Number) : [];
+    job = {
+      id: Math.max(0, ...ids, Number(properties.getProperty(JOB_QUEUE.ID_SEQUENCE_PROPERTY)) || 0) + 1,
+      functionName: functionName,
+      params: params,
+      submittedBy: Session.getActiveUser().getEmail(),
+      submittedOn: new Date().toISOString(),
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      startedOn: '',
+      completedOn: '',
+      error: '',
+      result: null
+    };
+    sheet.appendRow(toJobRow_(job));
+    properties.setProperty(JOB_QUEUE.ID_SEQUENCE_PROPERTY, String(job.id));
+  } finally {
+    lock.releaseLock();
   }
+
+  logActivity(`Queued job ${job.id} (${functionName})`);
+  return await processJob_(job.id);
 }
 
 /**
- * Processes the function queue, executing functions one by one.
+ * Returns a job the current user submitted, running it first if it is queued and due.
+ * Admins can look at any job, but only the submitter's polls run it.
  *
  * @async
+ * @param {number|string} jobId - The ID of the job.
+ * @returns {Promise<Object>} The job, including its result or error if it has finished.
+ * @throws {Error} If the job does not exist or belongs to someone else.
+ */
+async function getJob(jobId) {
+  if (!COACHING_SHEET) {
+    await initialize();
+  }
+  const found = loadJobs_().find(({ job }) => job.id === Number(jobId));
+  if (!found) {
+    throw new Error(`Job ${jobId} not found.`);
+  }
+  if (found.job.submittedBy !== Session.getActiveUser().getEmail()) {
+    validatePermission(PERMISSIONS.CONFIG_WRITE);
+    return toPublicJob_(found.job);
+  }
+  return await processJob_(found.job.id);
+}
+
+/**
+ * Returns the queue settings.
+ * @returns {{maxAttempts: number, backoffSeconds: number}} How many times a job is tried and the delay before the first retry.
  */
-async function processQueue() {
-  while (functionQueue.length > 0) {
-    const { functionName, params } = functionQueue.shift();
+function getQueueSettings() {
+  validatePermission(PERMISSIONS.CONFIG_READ);
+  const settings = PropertiesService.getScriptProperties().getProperty(JOB_QUEUE.SETTINGS_PROPERTY);
+  return settings ? JSON.parse(settings) : JOB_QUEUE.DEFAULT_SETTINGS;
+}
 
-    if (typeof this[functionName] === 'function') {
-      try {
-        await this[functionName](...params);
-      } catch (error) {
-        Logger.log(`Error while executing ${functionName}: ${error}`);
-        throw error;
+/**
+ * Saves the queue settings. The delay doubles after each failed attempt.
+ * @param {number} maxAttempts - How many times a job is tried before it fails.
+ * @param {number} backoffSeconds - The delay before the first retry, in seconds.
+ * @throws {Error} If the current user is not an admin or a setting is not a whole number in range.
+ */
+function setQueueSettings(maxAttempts, backoffSeconds) {
+  validatePermission(PERMISSIONS.CONFIG_WRITE);
+  if (!Number.isInteger(Number(maxAttempts)) || Number(maxAttempts) < 1 || Number(maxAttempts) > 10) {
+    throw new Error(`Invalid number of attempts: ${maxAttempts}`);
+  }
+  if (!Number.isInteger(Number(backoffSeconds)) || Number(backoffSeconds) < 0 || Number(backoffSeconds) > 300) {
+    throw new Error(`Invalid backoff: ${backoffSeconds}`);
+  }
+  const settings = { maxAttempts: Number(maxAttempts), backoffSeconds: Number(backoffSeconds) };
+  PropertiesService.getScriptProperties().setProperty(JOB_QUEUE.SETTINGS_PROPERTY, JSON.stringify(settings));
+  logActivity(`Set the job queue to ${settings.maxAttempts} attempt(s) with a ${settings.backoffSeconds} second backoff`);
+}
+
+/**
+ * Runs a queued job if it is due and, when it changes data, no other job that changes data is running.
+ * The job is claimed, run and its outcome recorded under the script lock. The functions the queue calls take the same lock
+ * for their own writes and release it when they finish, so it is taken again and the job reloaded by ID before the outcome is saved.
+ * The job runs as its submitter: permission and scope checks are made against them, even when the job queue trigger runs it.
+ *
+ * @async
+ * @param {number} jobId - The ID of the job.
+ * @returns {Promise<Object>} The job as it stands afterwards.
+ */
+async function processJob_(jobId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_WAIT_TIME);
+  try {
+    const jobs = loadJobs_();
+    const found = jobs.find(({ job }) => job.id === jobId);
+    const busy = isMutatingJob_(found.job) && jobs.some(({ job }) =>
+      job.id !== jobId && isMutatingJob_(job) && job.status === JOB_STATUS.RUNNING && !isStaleJob_(job));
+    if (isStaleJob_(found.job)) {
+      recordJobFailure_(found, new Error('The job did not finish.'));
+      saveJob_(found);
+    }
+    if (found.job.status !== JOB_STATUS.QUEUED || busy || new Date(found.job.nextAttemptAt) > new Date()) {
+      if (found.job.status === JOB_STATUS.QUEUED) {
+        ensureJobQueueTrigger_();
       }
+      return toPublicJob_(found.job);
+    }
+    const job = found.job;
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts++;
+    job.startedOn = new Date().toISOString();
+    saveJob_(found);
+
+    let result;
+    let failure = null;
+    try {
+      ACTING_USER_EMAIL = job.submittedBy;
+      // The submitter's role may have changed since the job was queued
+      authorizeJob_(job.functionName, job.params);
+      AUDIT_SOURCE = AUDIT_SOURCES.QUEUE;
+      result = await this[job.functionName](...job.params);
+    } catch (error) {
+      Logger.log(`Error while executing ${job.functionName}: ${error}`);
+      failure = error;
+    } finally {
+      AUDIT_SOURCE = AUDIT_SOURCES.UI;
+      ACTING_USER_EMAIL = '';
+    }
+
+    lock.waitLock(LOCK_WAIT_TIME);
+    const current = loadJobs_().find(({ job }) => job.id === jobId);
+    if (failure) {
+      recordJobFailure_({ job }, failure);
     } else {
-      Logger.log(`Function ${functionName} does not exist.`);
-      throw new Error(`Function ${functionName} does not exist.`);
+      job.status = JOB_STATUS.SUCCEEDED;
+      job.completedOn = new Date().toISOString();
+      job.error = '';
+      job.result = result === undefined ? null : result;
+    }
+    if (current) {
+      saveJob_({ job: job, sheetRow: current.sheetRow });
+    }
+    if (job.status === JOB_STATUS.QUEUED) {
+      ensureJobQueueTrigger_();
+    }
+    return toPublicJob_(job);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs the queued jobs that are due from the job queue trigger.
+ * @async
+ * @param {Object} e - The event object passed by the trigger.
+ * @returns {Promise<void>}
+ * @throws {Error} If it was not called by the job queue trigger.
+ */
+async function runQueuedJobs(e) {
+  validateTriggerEvent_(e, JOB_QUEUE.TRIGGER_FUNCTION);
+  await runQueuedJobs_();
+}
+
+/**
+ * Runs the queued jobs that are due and prunes the queue. Run every minute by the installable trigger while jobs are waiting,
+ * so a job whose submitter stopped polling still runs; the trigger is removed once the queue is empty.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function runQueuedJobs_() {
+  if (!COACHING_SHEET) {
+    await initialize();
+  }
+
+  const due = loadJobs_().filter(({ job }) => job.status === JOB_STATUS.QUEUED && new Date(job.nextAttemptAt) <= new Date());
+  for (const { job } of due) {
+    await processJob_(job.id);
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_WAIT_TIME);
+  try {
+    pruneJobs_();
+    if (!loadJobs_().some(({ job }) => job.status === JOB_STATUS.QUEUED)) {
+      ScriptApp.getProjectTriggers()
+        .filter(trigger => trigger.getHandlerFunction() === JOB_QUEUE.TRIGGER_FUNCTION)
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Installs the trigger that runs queued jobs every minute, if it is not already installed.
+ * Callers must hold the script lock.
+ */
+function ensureJobQueueTrigger_() {
+  const installed = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === JOB_QUEUE.TRIGGER_FUNCTION);
+  if (!installed) {
+    ScriptApp.newTrigger(JOB_QUEUE.TRIGGER_FUNCTION).timeBased().everyMinutes(1).create();
+  }
+}
+
+/**
+ * Checks that a function can be called through the queue by the current user with the given parameters.
+ * Rejected calls are logged.
+ * @param {string} functionName - The name of the function.
+ * @param {Array<any>} params - The parameters to pass to it.
+ * @throws {Error} If the function is not in QUEUEABLE_OPERATIONS, the current user does not have its permission or the parameters do not match its schema.
+ */
+function authorizeJob_(functionName, params) {
+  const operation = Object.prototype.hasOwnProperty.call(QUEUEABLE_OPERATIONS, functionName) ? QUEUEABLE_OPERATIONS[functionName] : null;
+  let reason = null;
+  if (!operation) {
+    reason = `${functionName} cannot be queued.`;
+  } else if (!hasPermission(operation.permission)) {
+    reason = `The '${operation.permission}' permission is needed to call ${functionName}.`;
+  } else {
+    reason = validateJobParams_(operation.params, params);
+  }
+  if (reason) {
+    logActivity(`Rejected queued call to ${functionName}: ${reason}`);
+    throw new Error(reason);
+  }
+}
+
+/**
+ * Checks parameters against an operation's schema.
+ * @param {Array<Object>} schema - The schema of each parameter, see QUEUEABLE_OPERATIONS.
+ * @param {Array<any>} params - The parameters.
+ * @returns {string|null} What is wrong with the parameters, or null if they match.
+ */
+function validateJobParams_(schema, params) {
+  if (params.length > schema.length) {
+    return `Expected ${schema.length} parameter(s) but received ${params.length}.`;
+  }
+  for (let i = 0; i < schema.length; i++) {
+    const problem = validateJobValue_(schema[i].name, schema[i], params[i]);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Checks a value against a parameter or field schema.
+ * @param {string} name - The name of the parameter or field, for the message.
+ * @param {{type: string, optional: boolean, fields: Object}} spec - The schema: its type, whether it may be left out
+ *  and, for objects, the schema of each field.
+ * @param {*} value - The value.
+ * @returns {string|null} What is wrong with the value, or null if it matches.
+ */
+function validateJobValue_(name, spec, value) {
+  if (value === undefined || value === null) {
+    return spec.optional ? null : `Missing ${name}.`;
+  }
+  switch (spec.type) {
+    case 'integer':
+      if (typeof value === 'boolean' || String(value).trim() === '' || !Number.isInteger(Number(value))) return `${name} must be a whole number.`;
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || isNaN(value)) return `${name} must be a number.`;
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object.`;
+      for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        const problem = validateJobValue_(`${name}.${field}`, fieldSpec, value[field]);
+        if (problem) return problem;
+      }
+      return null;
+    default:
+      return typeof value === spec.type ? null : `${name} must be a ${spec.type}.`;
+  }
+}
+
+/**
+ * Checks whether a job changes data. Jobs for functions no longer in QUEUEABLE_OPERATIONS are treated as if they do.
+ * @param {Object} job - The job.
+ * @returns {boolean} True if the job changes data.
+ */
+function isMutatingJob_(job) {
+  const operation = QUEUEABLE_OPERATIONS[job.functionName];
+  return !operation || operation.mutates;
+}
+
+/**
+ * Records a failed attempt. Errors worth retrying put the job back in the queue with a doubling delay
+ * until it runs out of attempts; any other error fails it.
+ * @param {{job: Object, sheetRow: number}} found - The job and its row.
+ * @param {Error} error - What went wrong.
+ */
+function recordJobFailure_({ job }, error) {
+  const { maxAttempts, backoffSeconds } = getQueueSettings();
+  job.error = error.message || String(error);
+  if (RETRYABLE_JOB_ERROR.test(job.error) && job.attempts < maxAttempts) {
+    job.status = JOB_STATUS.QUEUED;
+    job.nextAttemptAt = new Date(Date.now() + backoffSeconds * 1000 * Math.pow(2, job.attempts - 1)).toISOString();
+  } else {
+    job.status = JOB_STATUS.FAILED;
+    job.completedOn = new Date().toISOString();
+  }
+}
+
+/**
+ * Checks whether a running job has been running for so long that its execution must have ended.
+ * @param {Object} job - The job.
+ * @returns {boolean} True if the job is stale.
+ */
+function isStaleJob_(job) {
+  return job.status === JOB_STATUS.RUNNING && Date.now() - new Date(job.startedOn).getTime() > JOB_QUEUE.STALE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Converts a job to what the client sees: everything but its parameters.
+ * @param {Object} job - The job.
+ * @returns {Object} The job, with the number of attempts it is allowed.
+ */
+function toPublicJob_({ params, ...job }) {
+  return { ...job, maxAttempts: getQueueSettings().maxAttempts };
+}
+
+/**
+ * Fails the jobs whose execution ended while they were running, then deletes every finished job that completed
+ * more than JOB_QUEUE.RETENTION_DAYS ago. Callers must hold the script lock.
+ */
+function pruneJobs_() {
+  const cutoff = Date.now() - JOB_QUEUE.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const jobs = loadJobs_();
+  jobs.filter(({ job }) => isStaleJob_(job)).forEach(found => {
+    recordJobFailure_(found, new Error('The job did not finish.'));
+    saveJob_(found);
+  });
+
+  const expiredRows = jobs
+    .filter(({ job }) => (job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED) && new Date(job.completedOn).getTime() <= cutoff)
+    .map(({ sheetRow }) => sheetRow);
+  // Delete from the bottom up, one call per run of adjacent rows, so the rows still to delete keep their numbers
+  const sheet = getJobSheet_();
+  let end = expiredRows.length - 1;
+  while (end >= 0) {
+    let start = end;
+    while (start > 0 && expiredRows[start - 1] === expiredRows[start] - 1) {
+      start--;
     }
+    sheet.deleteRows(expiredRows[start], end - start + 1);
+    end = start - 1;
+  }
+}
+
+/**
+ * Loads every job from the job queue sheet.
+ * @returns {Array<{job: Object, sheetRow: number}>} The jobs and their rows, oldest first.
+ */
+function loadJobs_() {
+  const sheet = getJobSheet_();
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, JOB_QUEUE.HEADERS.length).getValues()
+    .map((row, index) => ({
+      sheetRow: index + 2,
+      job: {
+        id: Number(row[0]),
+        functionName: row[1],
+        params: JSON.parse(row[2]),
+        submittedBy: row[3],
+        submittedOn: row[4],
+        status: row[5],
+        attempts: Number(row[6]),
+        nextAttemptAt: row[7],
+        startedOn: row[8],
+        completedOn: row[9],
+        error: row[10],
+        result: row[11] === '' ? null : JSON.parse(row[11])
+      }
+    }));
+}
+
+/**
+ * Writes a job back to its row on the job queue sheet.
+ * @param {{job: Object, sheetRow: number}} found - The job and its row.
+ */
+function saveJob_({ job, sheetRow }) {
+  getJobSheet_().getRange(sheetRow, 1, 1, JOB_QUEUE.HEADERS.length).setValues([toJobRow_(job)]);
+}
+
+/**
+ * Converts a job to a row on the job queue sheet.
+ * @param {Object} job - The job.
+ * @returns {Array<any>} The row.
+ */
+function toJobRow_(job) {
+  return [
+    job.id,
+    job.functionName,
+    JSON.stringify(job.params),
+    job.submittedBy,
+    job.submittedOn,
+    job.status,
+    job.attempts,
+    job.nextAttemptAt,
+    job.startedOn,
+    job.completedOn,
+    job.error,
+    job.result === null ? '' : JSON.stringify(job.result)
+  ];
+}
+
+/**
+ * Returns the job queue sheet, creating it if needed. Everything is stored as text so the sheet does not convert it.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The job queue sheet.
+ */
+function getJobSheet_() {
+  const ss = SpreadsheetApp.openById(COACHING_SHEET);
+  let sheet = ss.getSheetByName(JOB_QUEUE.SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(JOB_QUEUE.SHEET_NAME);
+    sheet.getRange(1, 1, 1, JOB_QUEUE.HEADERS.length).setValues([JOB_QUEUE.HEADERS]);
+    sheet.getRange('A:L').setNumberFormat('@');
   }
+  return sheet;
 }
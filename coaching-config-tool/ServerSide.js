@@ -1,5 +1,7 @@
 
 let COACHING_SHEET;
+/** How long to wait for the script lock before giving up, in milliseconds. */
+const LOCK_WAIT_TIME = 30000;
 
 /**
  * Initializes the script properties.
@@ -23,20 +25,29 @@ async function initialize() {
 }
 
 /**
- * Retrieves and saves valid expectation types from the sheet.
+ * Retrieves the expectation type registry from the library and saves it, along with the type names in precedence order.
+ * @async
  * @throws {Error} If any error occurs during operation.
  */
-function getAndSaveExpectationTypes() {
-    try {
-        const ss = SpreadsheetApp.openById(COACHING_SHEET);
-        const sheet = ss.getSheetByName("Valid Expectation Types");
-        const data = sheet.getRange(2, 1, sheet.getLastRow() - 1).getValues();
-        const standardArray = data.map(row => row[0]);
+async function getAndSaveExpectationTypes() {
+    const registry = await CoachingDashboard.getExpectationTypeRegistry();
+    const properties = PropertiesService.getScriptProperties();
+    properties.setProperty("EXPECTATION_TYPE_REGISTRY", JSON.stringify(registry));
+    properties.setProperty("EXPECTATION_TYPES", JSON.stringify(registry.map(({ expectationType }) => expectationType)));
+}
 
-        PropertiesService.getScriptProperties().setProperty("EXPECTATION_TYPES", JSON.stringify(standardArray));
-    } catch (error) {
-        throw error;
+/**
+ * Gets the saved expectation type registry.
+ * @async
+ * @returns {Promise<Array<Object>>} Each expectation type with its precedence rank and the Employee columns
+ *  its resource IDs and names are read from, highest precedence first.
+ */
+async function getExpectationTypeRegistry() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    if (!COACHING_SHEET) {
+        await initialize();
     }
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty('EXPECTATION_TYPE_REGISTRY') || '[]');
 }
 
 /**
@@ -46,6 +57,7 @@ function getAndSaveExpectationTypes() {
  * @throws {Error} If unable to get expectation types.
  */
 async function getExpectationTypes() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
     if (!COACHING_SHEET) {
         try {
             await initialize();
@@ -95,16 +107,24 @@ async function populateData(sheetName, skipRows, columnCount, callback) {
  * @returns {string} - The stringified JSON object containing the collected data.
  */
 async function generateJSON() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
     // Initialize data objects
     var employeeData = {};
-    var workgroupData = {};
-    var jobProfileData = {};
+    var resourceData = {};
     var expectationData = {};
     var formData = {};
     var questionData = {};
 
-    // Populate employeeData, workgroupData, jobProfileData
-    await populateData('Employee', 1, 9, function (data, row) {
+    // Each expectation type reads its resource IDs and names from Employee columns set in the registry
+    var expectationTypes = await getExpectationTypeRegistry();
+    var resourceTypes = expectationTypes.filter(function (entry) { return !entry.appliesToAll; });
+    var employeeColumns = Math.max.apply(null, [9].concat(resourceTypes.map(function (entry) { return Math.max(entry.resourceIdCol, entry.resourceNameCol); })));
+    resourceTypes.forEach(function (entry) {
+        resourceData[entry.expectationType] = {};
+    });
+
+    // Populate employeeData and resourceData
+    await populateData('Employee', 1, employeeColumns, function (data, row) {
         var id = row[0];
         employeeData[id] = {
             name: row[1],
@@ -112,10 +132,16 @@ async function generateJSON() {
             workgroupId: row[4],
             jobProfileId: row[6],
             samAccountName: row[8],
-            email: row[2]
+            email: row[2],
+            resourceIds: {}
         };
-        workgroupData[row[4]] = row[5];
-        jobProfileData[row[6]] = row[7];
+        resourceTypes.forEach(function (entry) {
+            var resourceId = row[entry.resourceIdCol - 1];
+            employeeData[id].resourceIds[entry.expectationType] = resourceId;
+            // Per-agent types only list agents, not their leaders
+            if (resourceId === '' || (entry.perAgent && (row[3] === '' || row[3] > 1))) return;
+            resourceData[entry.expectationType][resourceId] = row[entry.resourceNameCol - 1];
+        });
     });
 
     // Populate expectationData
@@ -138,9 +164,7 @@ async function generateJSON() {
     });
 
     // Populate formData
-    var tblCoachingFormsData = await populateData('tbl_coaching_forms', 2, 7, function (data, row) {
-        data[row[0]] = row;
-    });
+    var { settings: tblCoachingFormsData, removed: removedForms } = await loadFormSettings_();
 
     // Populate formData
     formData = await populateData('forms', 1, 2, function (data, row) {
@@ -155,6 +179,7 @@ async function generateJSON() {
             sideBySide: tblRow[4],
             modifiedBy: tblRow[5],
             modifiedDate: tblRow[6],
+            removed: removedForms.has(String(id)),
             questions: []  // Placeholder for questions which will be nested later
         };
     });
@@ -201,8 +226,8 @@ async function generateJSON() {
     // Create the final JSON object
     var finalObject = {
         employeeData: employeeData,
-        workgroupData: workgroupData,
-        jobProfileData: jobProfileData,
+        expectationTypes: expectationTypes,
+        resourceData: resourceData,
         expectationData: expectationData,
         formData: formData,
 
@@ -231,7 +256,7 @@ async function getUserEmID() {
     const emailCol = sheet.getRange('C:C').getValues().flat();
     const emIDCol = sheet.getRange('A:A').getValues().flat();
 
-    const email = Session.getActiveUser().getEmail();
+    const email = getActingUserEmail_();
     const index = emailCol.indexOf(email);
     const emID = index !== -1 ? emIDCol[index] : null;
 
@@ -257,40 +282,68 @@ async function updateModifiedBy(sheet, rowToEdit, emIdColumn, dateColumn) {
 }
 
 /**
- * Sets the 'active' status of an expectation.
+ * Sets the 'active' status of an expectation. The overlap check and the write happen under the script lock,
+ * so a concurrent save cannot slip an overlapping expectation in between.
  * @param {number|string} expectationId - The ID of the expectation.
  * @param {boolean} isActive - The active status.
- * @throws Will throw an error if the expectation ID could not be found.
+ * @throws Will throw an error if the current user cannot edit expectations, the expectation ID could not be found or is
+ *  outside the user's scopes, its type must be submitted for approval, re-activating it would overlap another expectation
+ *  or the lock could not be acquired.
  */
 async function setExpectationStatus(expectationId, isActive) {
-    if (!COACHING_SHEET) {
-        try {
-            await initialize();
-        } catch (err) {
-            throw err;
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
+    await saveExpectationStatus_(expectationId, isActive, async (row, data) => {
+        const { employees, registry, scopes } = await loadExpectationPlanContext_();
+        const [, resourceId, , , , startDate, endDate, expectationType] = row;
+        if (!isInUserScope(scopes, resourceId, expectationType, registry, employees)) {
+            throw new Error(`Expectation ID ${expectationId} is outside the resources you can edit.`);
         }
-    }
+        validateDirectSave_([expectationType]);
+        if (isActive) {
+            const isValid = await checkForOverlap(resourceId, expectationType, startDate, endDate, expectationId, data);
+            if (isValid !== -1) {
+                throw new Error(`Could not update expectation archive status for ID: ${resourceId} due to conflicting expectation. Search id{${isValid}}`);
+            }
+        }
+    });
+}
 
-    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
-    const idColumn = sheet.getRange(3, 1, sheet.getLastRow() - 2).getValues().flat();
-    const rowToEdit = idColumn.findIndex(id => Number(id) === Number(expectationId)) + 3;
+/**
+ * Writes the 'active' status of an expectation under the script lock and records the change.
+ * Permission checks are left to the caller: validateRow runs under the same lock, before the write.
+ * @async
+ * @param {number|string} expectationId - The ID of the expectation.
+ * @param {boolean} isActive - The active status.
+ * @param {function(Array<any>, Array<Array<any>>): Promise<void>} [validateRow] - Called with the expectation's row and every
+ *  expectation row; throws to stop the write.
+ * @throws Will throw an error if the expectation ID could not be found, validateRow throws or the lock could not be acquired.
+ */
+async function saveExpectationStatus_(expectationId, isActive, validateRow) {
+    if (!COACHING_SHEET) {
+        await initialize();
+    }
 
-    if (isActive) {
-        const expectationDetails = sheet.getRange(rowToEdit, 2, 1, 7).getValues();
-        Logger.log(expectationDetails);
-        const isValid = await checkForOverlap(expectationDetails[0][0], expectationDetails[0][6], expectationDetails[0][4], expectationDetails[0][5]);
-        Logger.log(isValid);
-        if (isValid !== -1) {
-            throw new Error(`Could not update expectation archive status for ID: ${expectationDetails[0][0]} due to conflicting expectation. Search id{${isValid}}`);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let before;
+    try {
+        const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
+        const data = sheet.getLastRow() > 2 ? sheet.getRange(3, 1, sheet.getLastRow() - 2, 9).getValues() : [];
+        const rowIndex = data.findIndex(([id]) => Number(id) === Number(expectationId));
+        if (rowIndex === -1) {
+            throw new Error(`Expectation ID (${expectationId}) not found.`);
+        }
+        if (validateRow) {
+            await validateRow(data[rowIndex], data);
         }
-    }
 
-    if (rowToEdit >= 3) {
-        sheet.getRange(rowToEdit, 9).setValue(isActive);
-        updateModifiedBy(sheet, rowToEdit, 12, 13);
-    } else {
-        throw new Error(`Expectation ID (${expectationId}) not found.`);
+        before = rowToProposalExpectation_(data[rowIndex]);
+        sheet.getRange(rowIndex + 3, 9).setValue(isActive);
+        await updateModifiedBy(sheet, rowIndex + 3, 12, 13);
+    } finally {
+        lock.releaseLock();
     }
+    await recordExpectationChange_(expectationId, 'updated', before, { ...before, active: Boolean(isActive) });
 }
 
 /**
@@ -320,53 +373,19 @@ async function validateExpectation(expectation) {
  * Updates expectation data on the coaching sheet.
  * @param {number} expectationId - The ID of the expectation to update.
  * @param {Object} expectation - The new data for the expectation.
- * @throws {Error} Throws an error if initialization or validation fails.
+ * @throws {Error} Throws an error if the current user cannot edit expectations, initialization or validation fails, the expectation overlaps another,
+ *  the change must be submitted for approval or the lock could not be acquired.
  */
 async function updateExpectationData(expectationId, expectation) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
     if (!COACHING_SHEET) {
         await initialize();
     }
 
     await validateExpectation(expectation);
 
-    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
-    const idColumn = sheet.getRange(3, 1, sheet.getLastRow() - 2).getValues().flat();
-    const rowToEdit = idColumn.findIndex(id => Number(id) === Number(expectationId)) + 3;
-
-    if (rowToEdit >= 3) {
-        const {
-            resourceId,
-            performance,
-            oneToOne,
-            sideBySide,
-            startDate,
-            endDate,
-            expectationType,
-            active
-        } = expectation;
-
-        const updatedRow = [
-            resourceId,
-            performance,
-            oneToOne,
-            sideBySide,
-            startDate,
-            endDate,
-            expectationType,
-            active
-        ];
-
-        const isValid = await checkForOverlap(resourceId, expectationType, startDate, endDate, expectationId);
-
-        if (isValid !== -1) {
-            throw new Error(`Could not update expectation info for ID: ${resourceId} due to conflicting expectation. Search id{${isValid}}`);
-        }
-
-        sheet.getRange(rowToEdit, 2, 1, updatedRow.length).setValues([updatedRow]);
-        updateModifiedBy(sheet, rowToEdit, 12, 13);
-    } else {
-        throw new Error(`Expectation ID (${expectationId}) not found.`);
-    }
+    await saveExpectation_(Number(expectationId), expectation,
+        conflictId => `Could not update expectation info for ID: ${expectation.resourceId} due to conflicting expectation. Search id{${conflictId}}`);
 }
 
 /**
@@ -379,40 +398,48 @@ async function updateExpectationData(expectationId, expectation) {
  * @param {Date} startDate - The start date of the new expectation.
  * @param {Date} endDate - The end date of the new expectation.
  * @param {string|number} ignoreId -  Expectation ID to ignore.
- * @returns {Promise<boolean>} - Returns `true` if there is no overlap, `false` otherwise.
+ * @param {Array<Array<any>>} [data] - Expectation rows to check against instead of the sheet, such as the rows an import would leave behind.
+ * @returns {Promise<number>} - The ID of the first overlapping expectation, or -1 if there is no overlap.
  */
 // Function to check for overlapping date ranges
-async function checkForOverlap(resourceId, expectationType, startDate, endDate, ignoreId = -1) {
-    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
-    const data = sheet.getRange(3, 1, sheet.getLastRow() - 2, 9).getValues();
-
-    const newIgnoreId = parseInt(ignoreId);
-    // Convert new dates to Date objects
-    const newStartDate = new Date(startDate);
-    const newEndDate = new Date(endDate);
+async function checkForOverlap(resourceId, expectationType, startDate, endDate, ignoreId = -1, data = null) {
     Logger.log(`resourceId is: ${resourceId}`);
     Logger.log(`expectationType is: ${expectationType}`);
     Logger.log(`startDate is: ${startDate}`);
     Logger.log(`endDate is: ${endDate}`);
-    for (const row of data) {
-        const expectationId = row[0];
-        const existingResourceId = row[1];
-        const existingStartDate = new Date(row[5]);
-        const existingEndDate = new Date(row[6]);
-        const existingExpectationType = row[7];
-        const isActive = row[8];
-        Logger.log(`Comparing to Id: ${existingResourceId}, Type: ${existingExpectationType}, startDate: ${existingStartDate}, endDate: ${existingEndDate}`);
-        Logger.log(`Ignore ID is: ${ignoreId} with type ${typeof ignoreId} and this expectation ID is ${expectationId} with type ${typeof expectationId}`);
+    const overlaps = findOverlaps(resourceId, expectationType, startDate, endDate, ignoreId, data);
+    return overlaps.length > 0 ? overlaps[0][0] : -1;
+}
+
+/**
+ * Finds every active expectation with the same resource ID and expectation type whose dates overlap the given range.
+ * Dates are compared by day, so an expectation ending on the day another starts counts as an overlap.
+ *
+ * @param {string|number} resourceId - The ID of the resource.
+ * @param {string} expectationType - The type of expectation.
+ * @param {Date|string} startDate - The start date of the new expectation.
+ * @param {Date|string} endDate - The end date of the new expectation.
+ * @param {string|number} ignoreId - Expectation ID to ignore.
+ * @param {Array<Array<any>>} [data] - Expectation rows (columns 1-9) to check against instead of the sheet.
+ * @returns {Array<Array<any>>} - The overlapping expectation rows.
+ */
+function findOverlaps(resourceId, expectationType, startDate, endDate, ignoreId = -1, data = null) {
+    if (!data) {
+        const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
+        data = sheet.getRange(3, 1, sheet.getLastRow() - 2, 9).getValues();
+    }
+
+    const newIgnoreId = parseInt(ignoreId);
+    const newStartDate = toExpectationDate(startDate);
+    const newEndDate = toExpectationDate(endDate);
+    return data.filter(row => {
+        const [expectationId, existingResourceId, , , , existingStartDate, existingEndDate, existingExpectationType, isActive] = row;
         // Check if active, same resource ID and same expectation type
-        if (isActive && existingResourceId === resourceId && existingExpectationType === expectationType && expectationId !== newIgnoreId) {
-            if ((newStartDate >= existingStartDate && newStartDate <= existingEndDate) ||
-                (newEndDate >= existingStartDate && newEndDate <= existingEndDate) ||
-                (newStartDate <= existingStartDate && newEndDate >= existingEndDate)) {
-                return expectationId;
-            }
+        if (!isActive || existingResourceId !== resourceId || existingExpectationType !== expectationType || expectationId === newIgnoreId) {
+            return false;
         }
-    }
-    return -1;
+        return newStartDate <= toExpectationDate(existingEndDate) && toExpectationDate(existingStartDate) <= newEndDate;
+    });
 }
 
 
@@ -422,59 +449,98 @@ async function checkForOverlap(resourceId, expectationType, startDate, endDate,
 /**
 * Adds new expectation data to the coaching sheet.
 * @param {Object} expectation - The new data for the expectation.
-* @throws {Error} Throws an error if initialization or validation fails.
+* @returns {Promise<number>} The ID of the new expectation.
+* @throws {Error} Throws an error if the current user cannot edit expectations, initialization or validation fails, the expectation overlaps another,
+*  the change must be submitted for approval or the lock could not be acquired.
 */
 async function addNewExpectation(expectation) {
+    validatePermission(PERMISSIONS.EXPECTATIONS_WRITE);
     if (!COACHING_SHEET) {
         await initialize();
     }
 
-    const {
-        resourceId,
-        performance,
-        oneToOne,
-        sideBySide,
-        startDate,
-        endDate,
-        expectationType,
-        active
-    } = expectation;
-
-    const isValid = await checkForOverlap(resourceId, expectationType, startDate, endDate);
-
-    if (isValid !== -1) {
-        throw new Error(`Could not add new expectation for ID: ${resourceId} due to conflicting expectation. Search id{${isValid}}`);
+    return await saveExpectation_(null, expectation,
+        conflictId => `Could not add new expectation for ID: ${expectation.resourceId} due to conflicting expectation. Search id{${conflictId}}`);
+}
+
+/**
+ * Saves a single expectation. The overlap check, ID allocation and write happen as one critical section
+ * under the script lock, so concurrent saves can neither share an ID nor both pass the overlap check.
+ * @async
+ * @param {number|null} expectationId - The ID of the expectation to update, or null to add one.
+ * @param {Object} expectation - The expectation to save.
+ * @param {function(number): string} describeConflict - Builds the error message for an overlap with the given expectation ID.
+ * @returns {Promise<number>} The ID of the saved expectation.
+ * @throws {Error} If the expectation is not found, overlaps another, fails validation, its current or new type
+ *  must be submitted for approval or the lock could not be acquired.
+ */
+async function saveExpectation_(expectationId, expectation, describeConflict) {
+    const { resourceId, performance, oneToOne, sideBySide, startDate, endDate, expectationType, active } = expectation;
+    const values = { resourceId, performance, oneToOne, sideBySide, startDate, endDate, expectationType, active };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let plan;
+    try {
+        const context = await loadExpectationPlanContext_();
+        if (expectationId !== null && !context.sheetRows[expectationId]) {
+            throw new Error(`Expectation ID (${expectationId}) not found.`);
+        }
+        const isValid = await checkForOverlap(resourceId, expectationType, startDate, endDate, expectationId === null ? -1 : expectationId, context.projected);
+        if (isValid !== -1) {
+            throw new Error(describeConflict(isValid));
+        }
+
+        plan = await planExpectationWrites_([{ label: 'the expectation', id: expectationId, expectation: values, reasons: [] }], context);
+        const [row] = plan.rows;
+        if (row.action === PLAN_ACTIONS.REJECT) {
+            throw new Error(row.reasons.join(' '));
+        }
+        validateDirectSave_(getPlanExpectationTypes_(plan));
+        await writeExpectationPlan_(plan);
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordExpectationPlanChanges_(plan);
+    return plan.rows[0].id;
+}
+
+/**
+ * Records an expectation change in the API change feed and the audit log.
+ * The expectation has already been saved, so a failure here is logged instead of thrown.
+ * @param {number|string} expectationId - The ID of the expectation that changed.
+ * @param {string} action - What happened to the expectation ('created' or 'updated').
+ * @param {Object|null} before - The expectation before the change, or null if it was created.
+ * @param {Object} after - The expectation after the change.
+ */
+async function recordExpectationChange_(expectationId, action, before, after) {
+    try {
+        await CoachingDashboard.recordChange('expectation', Number(expectationId), action);
+    } catch (error) {
+        Logger.log(`Unable to record change for expectation ${expectationId}: ${error}`);
     }
+    await recordAudit_('expectation', Number(expectationId), action, before, after);
+}
 
-    const sheet = SpreadsheetApp.openById(COACHING_SHEET).getSheetByName('tbl_coaching_expectations');
-    const idColumn = sheet.getRange(3, 1, sheet.getLastRow() - 2).getValues().flat();
-    const newId = Math.max(...idColumn.map(Number)) + 1;
-
-    const newRow = [
-        newId,
-        resourceId,
-        performance,
-        oneToOne,
-        sideBySide,
-        startDate,
-        endDate,
-        expectationType,
-        active
-    ];
-
-    sheet.appendRow(newRow);
-    const lastRow = sheet.getLastRow();
-    updateModifiedBy(sheet, lastRow, 10, 11);
-    return newId;
+/**
+ * Resolves the expectation that applies to an agent on a given date.
+ * @async
+ * @param {number|string} agentId - The employee ID of the agent.
+ * @param {string} date - The date to resolve for, as yyyy-MM-dd.
+ * @returns {Promise<Object>} The effective targets and the precedence chain that produced them.
+ * @throws {Error} If the agent does not exist or the date is invalid.
+ */
+async function getEffectiveExpectation(agentId, date) {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    return await CoachingDashboard.getEffectiveExpectation(agentId, date);
 }
 
 async function getFormData() {
     var formData = {};
 
     // Populate formData
-    var tblCoachingFormsData = await populateData('tbl_coaching_forms', 2, 7, function (data, row) {
-        data[row[0]] = row;
-    });
+    var { settings: tblCoachingFormsData, removed: removedForms } = await loadFormSettings_();
 
     // Populate formData
     formData = await populateData('forms', 1, 2, function (data, row) {
@@ -489,6 +555,7 @@ async function getFormData() {
             sideBySide: tblRow[4],
             modifiedBy: tblRow[5],
             modifiedDate: tblRow[6],
+            removed: removedForms.has(String(id)),
             questions: []  // Placeholder for questions which will be nested later
         };
     });
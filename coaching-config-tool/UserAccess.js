@@ -0,0 +1,214 @@
+/**
+ * Where role grants are stored on the coaching config sheet. Rows are only ever added: changing a user's role
+ * revokes their current row and adds a new one, and removing a user revokes their row, so every earlier grant,
+ * its grantor and its expiry are kept. A user's current grant is their one row that has not been revoked.
+ * Grants used to be a single JSON script property, which is moved onto the sheet the first time it is read.
+ * @type {Object}
+ */
+const USER_ACCESS = {
+    SHEET_NAME: 'tbl_user_access',
+    HEADERS: ['Email', 'Role', 'Granted By', 'Granted On', 'Expires On', 'Revoked By', 'Revoked On'],
+    LEGACY_PROPERTY: 'users'
+};
+
+/**
+ * The grants read during this execution. Every permission check reads them, so they are only read from the sheet once.
+ * @type {Array<{grant: Object, sheetRow: number}>|null}
+ */
+let USER_GRANTS = null;
+
+/**
+ * Returns every current role grant for the Admin page, including expired ones.
+ * @returns {Array<Object>} The grants, by email address, each flagged if it has expired.
+ * @throws {Error} If the current user cannot manage users.
+ */
+function getUserGrants() {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    return loadCurrentUserGrants_()
+        .map(({ grant }) => ({ ...grant, expired: isExpiredGrant_(grant, today) }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+/**
+ * Returns the role of each user whose grant has not expired.
+ * @returns {Object<string, string>} The roles, keyed by email address.
+ */
+function loadUsers_() {
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    const users = {};
+    loadCurrentUserGrants_()
+        .filter(({ grant }) => !isExpiredGrant_(grant, today))
+        .forEach(({ grant }) => users[grant.email] = grant.role);
+    return users;
+}
+
+/**
+ * Grants a role to a user. Any grant they already have is revoked and the new grant is added as a new row.
+ * Must be called under the script lock.
+ * @param {string} email - The email address of the user.
+ * @param {string} role - The role to grant.
+ * @param {string} expiresOn - The last day the grant applies, as yyyy-MM-dd, or blank if it does not expire.
+ * @returns {Object} The saved grant.
+ */
+function saveUserGrant_(email, role, expiresOn) {
+    const grant = {
+        email: email,
+        role: role,
+        grantedBy: Session.getActiveUser().getEmail(),
+        grantedOn: Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd"),
+        expiresOn: expiresOn || '',
+        revokedBy: '',
+        revokedOn: ''
+    };
+    revokeUserGrant_(email);
+    const sheet = getUserAccessSheet_();
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, USER_ACCESS.HEADERS.length).setValues([toUserGrantRow_(grant)]);
+    USER_GRANTS = null;
+    return grant;
+}
+
+/**
+ * Revokes a user's current grant. The row is kept, with who revoked it and when. Must be called under the script lock.
+ * @param {string} email - The email address of the user.
+ * @returns {boolean} True if the user had a grant.
+ */
+function revokeUserGrant_(email) {
+    const current = loadCurrentUserGrants_().filter(({ grant }) => grant.email === email);
+    if (current.length === 0) return false;
+    const sheet = getUserAccessSheet_();
+    const revokedBy = Session.getActiveUser().getEmail();
+    const revokedOn = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    current.forEach(({ sheetRow }) => sheet.getRange(sheetRow, 6, 1, 2).setValues([[revokedBy, revokedOn]]));
+    USER_GRANTS = null;
+    return true;
+}
+
+/**
+ * Finds a user's current grant, whether or not it has expired.
+ * @param {string} email - The email address of the user.
+ * @returns {Object|null} The grant, or null if the user has none.
+ */
+function findUserGrant_(email) {
+    const found = loadCurrentUserGrants_().find(({ grant }) => grant.email === email);
+    return found ? found.grant : null;
+}
+
+/**
+ * Records a change to a user's grant in the audit log.
+ * @async
+ * @param {string} email - The email address of the user.
+ * @param {Object|null} previous - The grant before the change, or null if the user had none.
+ * @param {Object|null} grant - The grant after the change, or null if it was removed.
+ */
+async function recordUserGrantChange_(email, previous, grant) {
+    const toFields = value => value ? { role: value.role, expiresOn: value.expiresOn } : null;
+    const action = !previous ? 'created' : grant ? 'updated' : 'removed';
+    await recordAudit_('user', email, action, toFields(previous), toFields(grant));
+}
+
+/**
+ * Checks whether a grant has expired. A grant applies through the end of its expiry date.
+ * @param {Object} grant - The grant.
+ * @param {string} today - Today's date, as yyyy-MM-dd.
+ * @returns {boolean} True if the grant has expired.
+ */
+function isExpiredGrant_(grant, today) {
+    return grant.expiresOn !== '' && grant.expiresOn < today;
+}
+
+/**
+ * Returns the grants that have not been revoked, at most one per user.
+ * @returns {Array<{grant: Object, sheetRow: number}>} The grants and the sheet row each is on.
+ */
+function loadCurrentUserGrants_() {
+    return loadUserGrants_().filter(({ grant }) => grant.revokedOn === '');
+}
+
+/**
+ * Reads every grant from the user access sheet, including revoked ones.
+ * @returns {Array<{grant: Object, sheetRow: number}>} The grants and the sheet row each is on.
+ */
+function loadUserGrants_() {
+    if (USER_GRANTS) return USER_GRANTS;
+    const sheet = getUserAccessSheet_();
+    if (sheet.getLastRow() < 2) return USER_GRANTS = [];
+    USER_GRANTS = sheet.getRange(2, 1, sheet.getLastRow() - 1, USER_ACCESS.HEADERS.length).getValues()
+        .map((row, index) => ({
+            sheetRow: index + 2,
+            grant: {
+                email: String(row[0]).trim(),
+                role: row[1],
+                grantedBy: row[2],
+                grantedOn: row[3],
+                expiresOn: row[4],
+                revokedBy: row[5],
+                revokedOn: row[6]
+            }
+        }))
+        .filter(({ grant }) => grant.email !== '');
+    return USER_GRANTS;
+}
+
+/**
+ * Converts a grant to a row on the user access sheet.
+ * @param {Object} grant - The grant.
+ * @returns {Array<any>} The row.
+ */
+function toUserGrantRow_(grant) {
+    return [grant.email, grant.role, grant.grantedBy, grant.grantedOn, grant.expiresOn, grant.revokedBy, grant.revokedOn];
+}
+
+/**
+ * Returns the user access sheet, creating it if needed. When it is created, the grants in the old
+ * users script property are copied onto it and the property is deleted.
+ * Dates are stored as text so the sheet does not convert them.
+ * The sheet is created and migrated under the script lock and checked again once the lock is held, so two first
+ * requests cannot both create it or both copy the old grants. Every permission check reaches here before a caller
+ * takes the script lock to change a grant, so the lock is never needed while it is already held.
+ * Reads the sheet ID directly because permission checks run before initialize has been called.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The user access sheet.
+ * @throws {Error} If the sheet has to be created and the lock could not be acquired.
+ */
+function getUserAccessSheet_() {
+    const ss = SpreadsheetApp.openById(COACHING_SHEET || PropertiesService.getScriptProperties().getProperty('coachingConfigSheet'));
+    let sheet = ss.getSheetByName(USER_ACCESS.SHEET_NAME);
+    if (sheet) {
+        return sheet;
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    try {
+        sheet = ss.getSheetByName(USER_ACCESS.SHEET_NAME);
+        if (!sheet) {
+            sheet = ss.insertSheet(USER_ACCESS.SHEET_NAME);
+            sheet.getRange(1, 1, 1, USER_ACCESS.HEADERS.length).setValues([USER_ACCESS.HEADERS]);
+            sheet.getRange('A:G').setNumberFormat('@');
+            migrateUserProperty_(sheet);
+        }
+        SpreadsheetApp.flush();
+    } finally {
+        lock.releaseLock();
+    }
+    return sheet;
+}
+
+/**
+ * Copies the grants in the old users script property onto the user access sheet, then deletes the property.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The new user access sheet.
+ */
+function migrateUserProperty_(sheet) {
+    const properties = PropertiesService.getScriptProperties();
+    const users = properties.getProperty(USER_ACCESS.LEGACY_PROPERTY);
+    if (!users) return;
+
+    const today = Utilities.formatDate(new Date(), "EST", "yyyy-MM-dd");
+    const rows = Object.entries(JSON.parse(users))
+        .map(([email, role]) => toUserGrantRow_({ email: email, role: role, grantedBy: 'Migrated', grantedOn: today, expiresOn: '', revokedBy: '', revokedOn: '' }));
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, USER_ACCESS.HEADERS.length).setValues(rows);
+    }
+    properties.deleteProperty(USER_ACCESS.LEGACY_PROPERTY);
+    Logger.log(`Migrated ${rows.length} user(s) to ${USER_ACCESS.SHEET_NAME}`);
+}
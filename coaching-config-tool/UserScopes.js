@@ -0,0 +1,111 @@
+/**
+ * The script property holding each scoped user's resource scopes, keyed by email address.
+ * Users without scopes can edit every expectation their role allows.
+ * @type {string}
+ */
+const USER_SCOPES_PROPERTY = 'USER_SCOPES';
+
+/**
+ * Returns the resource scopes of every scoped user.
+ * @returns {Object<string, Array<{expectationType: string, resourceId: number}>>} The scopes, keyed by email address.
+ * @throws {Error} If the current user cannot manage users.
+ */
+function getUserScopes() {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    return loadUserScopes_();
+}
+
+/**
+ * Returns the resource scopes of the current user.
+ * @returns {Array<{expectationType: string, resourceId: number}>|null} The scopes, or null if the user is not limited to any.
+ */
+function getMyScopes() {
+    validatePermission(PERMISSIONS.CONFIG_READ);
+    const scopes = loadUserScopes_()[getActingUserEmail_()];
+    return scopes && scopes.length > 0 ? scopes : null;
+}
+
+/**
+ * Limits a user to editing the expectations of the given workgroups, job profiles or other grouped resources,
+ * and of the agents in them. Saving no scopes lifts the limit.
+ * @async
+ * @param {string} email - The email address of the user.
+ * @param {Array<{expectationType: string, resourceId: number}>} scopes - The resources the user may edit.
+ * @returns {Promise<Array<Object>>} The saved scopes.
+ * @throws {Error} If the current user cannot manage users, the user does not exist, or a scope is not a grouped resource that exists.
+ */
+async function setUserScopes(email, scopes) {
+    validatePermission(PERMISSIONS.USERS_MANAGE);
+    if (!email || !Array.isArray(scopes)) {
+        throw new Error("Both email and scopes are required");
+    }
+    if (!loadUsers_()[email]) {
+        throw new Error("User does not exist");
+    }
+
+    const { registry, employees } = await loadExpectationPlanContext_();
+    const saved = scopes.map(({ expectationType, resourceId }) => {
+        const typeEntry = registry.find(entry => entry.expectationType === expectationType);
+        if (!typeEntry || typeEntry.appliesToAll || typeEntry.perAgent) {
+            throw new Error(`Users cannot be scoped to the ${expectationType} expectation type`);
+        }
+        if (!Number.isInteger(Number(resourceId)) || !resourceExists(Number(resourceId), typeEntry, employees)) {
+            throw new Error(`Could not find ${expectationType} with ID of ${resourceId}`);
+        }
+        return { expectationType: expectationType, resourceId: Number(resourceId) };
+    });
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(LOCK_WAIT_TIME);
+    let previous;
+    try {
+        const userScopes = loadUserScopes_();
+        previous = userScopes[email] || [];
+        if (saved.length > 0) {
+            userScopes[email] = saved;
+        } else {
+            delete userScopes[email];
+        }
+        PropertiesService.getScriptProperties().setProperty(USER_SCOPES_PROPERTY, JSON.stringify(userScopes));
+    } finally {
+        lock.releaseLock();
+    }
+
+    await recordAudit_('user', email, 'updated', { scopes: previous }, { scopes: saved });
+    logActivity(`Set the scopes of ${email} to ${saved.map(({ expectationType, resourceId }) => `${expectationType} ${resourceId}`).join(', ') || 'everything'}`);
+    return saved;
+}
+
+/**
+ * Reads every user's resource scopes from the script properties.
+ * @returns {Object<string, Array<{expectationType: string, resourceId: number}>>} The scopes, keyed by email address.
+ */
+function loadUserScopes_() {
+    const scopes = PropertiesService.getScriptProperties().getProperty(USER_SCOPES_PROPERTY);
+    return scopes ? JSON.parse(scopes) : {};
+}
+
+/**
+ * Checks whether an expectation falls within a user's scopes. Expectations of a scoped resource are in scope,
+ * as are per-agent expectations of the agents in it. Expectations that apply to everyone never are.
+ * @param {Array<{expectationType: string, resourceId: number}>|null} scopes - The user's scopes, or null if the user is not limited to any.
+ * @param {number|string} resourceId - The resource ID of the expectation.
+ * @param {string} expectationType - The expectation type.
+ * @param {Array<Object>} registry - The expectation type registry.
+ * @param {Array<Array<any>>} employees - The Employee sheet rows, without the header.
+ * @returns {boolean} True if the user may edit the expectation.
+ */
+function isInUserScope(scopes, resourceId, expectationType, registry, employees) {
+    if (!scopes) return true;
+    const typeEntry = registry.find(entry => entry.expectationType === expectationType);
+    if (!typeEntry || typeEntry.appliesToAll) return false;
+    if (!typeEntry.perAgent) {
+        return scopes.some(scope => scope.expectationType === expectationType && scope.resourceId === Number(resourceId));
+    }
+
+    const agent = employees.find(row => row[typeEntry.resourceIdCol - 1] !== '' && Number(row[typeEntry.resourceIdCol - 1]) === Number(resourceId));
+    return Boolean(agent) && scopes.some(scope => {
+        const scopeEntry = registry.find(entry => entry.expectationType === scope.expectationType);
+        return Boolean(scopeEntry) && agent[scopeEntry.resourceIdCol - 1] !== '' && Number(agent[scopeEntry.resourceIdCol - 1]) === scope.resourceId;
+    });
+}
@@ -13,9 +13,20 @@ const entities = {
 
 const SVG_ICONS = {
   SAVE: 'M819.999-671.538v459.229q0 30.308-21 51.308t-51.308 21H212.309q-30.308 0-51.308-21t-21-51.308v-535.382q0-30.308 21-51.308t51.308-21h459.229l148.461 148.461ZM760-646 646-760H212.309q-5.385 0-8.847 3.462-3.462 3.462-3.462 8.847v535.382q0 5.385 3.462 8.847 3.462 3.462 8.847 3.462h535.382q5.385 0 8.847-3.462 3.462-3.462 3.462-8.847V-646ZM480-269.233q41.538 0 70.768-29.23 29.231-29.231 29.231-70.768 0-41.538-29.231-70.769-29.23-29.23-70.768-29.23T409.232-440q-29.231 29.231-29.231 70.769 0 41.537 29.231 70.768 29.23 29.23 70.768 29.23ZM255.386-564.616h328.459v-139.998H255.386v139.998ZM200-646V-200-760v114Z',
+  SCHEDULE: 'm612-292 56-56-148-148v-184h-80v216l172 172ZM480-80q-83 0-156-31.5T197-197q-54-54-85.5-127T80-480q0-83 31.5-156T197-763q54-54 127-85.5T480-880q83 0 156 31.5T763-763q54 54 85.5 127T880-480q0 83-31.5 156T763-197q-54 54-127 85.5T480-80Zm0-400Zm0 320q133 0 226.5-93.5T800-480q0-133-93.5-226.5T480-800q-133 0-226.5 93.5T160-480q0 133 93.5 226.5T480-160Z',
   DELETE: 'M292.309-140.001q-29.923 0-51.115-21.193-21.193-21.192-21.193-51.115V-720h-40v-59.999H360v-35.384h240v35.384h179.999V-720h-40v507.691q0 30.308-21 51.308t-51.308 21H292.309ZM680-720H280v507.691q0 5.385 3.462 8.847 3.462 3.462 8.847 3.462h375.382q4.616 0 8.463-3.846 3.846-3.847 3.846-8.463V-720ZM376.155-280h59.999v-360h-59.999v360Zm147.691 0h59.999v-360h-59.999v360ZM280-720v520-520Z'
 };
 
+/**
+ * Where the coaching settings of each form are stored, matching FORMS in the CoachingDashboard library.
+ * Removed forms keep their row, flagged in REMOVED_COL, so they can be restored.
+ * @type {Object}
+ */
+const COACHING_FORMS = {
+  SHEET_NAME: 'tbl_coaching_forms',
+  REMOVED_COL: 8
+};
+
 /**
  * Decodes HTML entities in a given input string.
  * @param {string} input - The input string to decode.
@@ -28,8 +39,26 @@ function decodeHtmlEntities(input) {
   return input;
 }
 
+/**
+ * Reads the coaching settings of each form. Every read of tbl_coaching_forms goes through here so removed forms are skipped the same way.
+ * @returns {Promise<{settings: Object<string, Array<any>>, removed: Set<string>}>} The settings row of each form that has not
+ *  been removed, keyed by form ID, and the IDs of the removed forms.
+ */
+async function loadFormSettings_() {
+  const removed = new Set();
+  const settings = await populateData(COACHING_FORMS.SHEET_NAME, 2, COACHING_FORMS.REMOVED_COL, function (data, row) {
+    if (row[COACHING_FORMS.REMOVED_COL - 1] === true) {
+      removed.add(String(row[0]));
+    } else {
+      data[row[0]] = row;
+    }
+  });
+  return { settings: settings, removed: removed };
+}
+
 /**
  * Retrieves form data and populates it with questions and versions.
+ * Removed forms are flagged as removed and have no coaching settings.
  * @returns {Promise<Object>} A promise that resolves to an object containing form data.
  */
 async function getFormData() {
@@ -37,9 +66,7 @@ async function getFormData() {
     let formData = {};
 
     // Get formData
-    const tblCoachingFormsData = await populateData('tbl_coaching_forms', 2, 7, function (data, row) {
-      data[row[0]] = row;
-    });
+    const { settings: tblCoachingFormsData, removed } = await loadFormSettings_();
 
     // Populate formData
     formData = await populateData('forms', 1, 2, function (data, row) {
@@ -54,6 +81,7 @@ async function getFormData() {
         sideBySide: tblRow[4],
         modifiedBy: tblRow[5],
         modifiedDate: tblRow[6],
+        removed: removed.has(String(id)),
         questions: []  // Placeholder for questions which will be nested later
       };
     });
@@ -138,6 +166,7 @@ function generateQuestionRows(questions, questionCategories, isEditor, currentVe
       </td>
       <td class="text-center">
         ${generateButton('save-question', 'btn-outline-success', SVG_ICONS.SAVE, true)}
+        ${isEditor ? generateButton('schedule-question', 'btn-outline-primary', SVG_ICONS.SCHEDULE, true) : ''}
       </td>
     </tr>
   `;
@@ -178,6 +207,7 @@ function generateFormRows(formData, questionCategories, isEditor) {
         ${isEditor ? `
           ${generateButton('delete-form', 'btn-outline-danger', SVG_ICONS.DELETE, false)}
           ${generateButton('save-form', 'btn-outline-success', SVG_ICONS.SAVE, true)}
+          ${generateButton('schedule-form', 'btn-outline-primary', SVG_ICONS.SCHEDULE, true)}
         ` : ''}
       </td>
     </tr>
@@ -245,13 +275,15 @@ function generateButton(name, style, path, hidden) {
 
 /**
  * Generates a list of HTML options for a select element based on an array of form objects.
+ * Removed forms are left out, as they have to be restored instead of added.
  *
  * @param {Array} formList - An array of form objects containing an id and name property.
+ * @param {Array<string>} [removedFormIds] - The IDs of the removed forms.
  * @returns {string} - A string of HTML option elements with values and text based on the form objects.
  */
-function generateAddFormList(formList){
+function generateAddFormList(formList, removedFormIds = []){
   let addFormList = '';
-  formList.forEach((form) => {
+  formList.filter((form) => !removedFormIds.includes(String(form.id))).forEach((form) => {
     addFormList += `
     <option value="${form.id}">${form.name}</option>
     `;
@@ -264,11 +296,14 @@ function generateAddFormList(formList){
  * @returns {Promise<string>} A promise that resolves to the form page HTML content.
  */
 async function getFormPage() {
+  validatePermission(PERMISSIONS.CONFIG_READ);
   try {
     const template = injectRole(HtmlService.createTemplateFromFile('Forms'));
 
     // Filter to active forms
-    template.formData = Object.values(await getFormData()).filter(form => form.performanceCoaching !== undefined);
+    const forms = Object.values(await getFormData());
+    template.formData = forms.filter(form => form.performanceCoaching !== undefined);
+    template.removedFormIds = forms.filter(form => form.removed).map(form => String(form.id));
     template.questionCategories = await CoachingDashboard.getAllQuestionCategories();
     template.formList = await CoachingDashboard.getUnusedForms();
 
@@ -288,11 +323,12 @@ async function getFormPage() {
  * @param {string} text - The text of the question to be saved.
  * @param {string} category - The category of the question to be saved.
  * @param {boolean} hidden - Whether the question should be hidden or not.
- * @throws {Error} If there is an error updating the question in the Coaching Dashboard.
+ * @throws {Error} If the current user cannot edit forms or there is an error updating the question in the Coaching Dashboard.
  */
 async function saveQuestion(id, text, category, hidden) {
+  validatePermission(PERMISSIONS.FORMS_WRITE);
   try {
-    await CoachingDashboard.updateQuestion(id, text, category, hidden);
+    await CoachingDashboard.updateQuestion(id, text, category, hidden, AUDIT_SOURCE);
   } catch (error) {
     throw error;
   }
@@ -306,12 +342,13 @@ async function saveQuestion(id, text, category, hidden) {
  * @param {boolean} performanceCoaching - The value of the performance coaching checkbox.
  * @param {boolean} oneToOne - The value of the one-to-one coaching checkbox.
  * @param {boolean} sideBySide - The value of the side-by-side coaching checkbox.
- * @throws {Error} If there was an error updating the form.
+ * @throws {Error} If the current user cannot edit forms or there was an error updating the form.
  */
 async function saveForm(id, performanceCoaching, oneToOne, sideBySide) {
+  validatePermission(PERMISSIONS.FORMS_WRITE);
   try {
     Logger.log(`Saving form ${id} with values ${performanceCoaching}, ${oneToOne}, ${sideBySide}`);
-    await CoachingDashboard.updateForm(id, performanceCoaching, oneToOne, sideBySide);
+    await CoachingDashboard.updateForm(id, performanceCoaching, oneToOne, sideBySide, AUDIT_SOURCE);
   } catch (error) {
     throw error;
   }
@@ -320,24 +357,46 @@ async function saveForm(id, performanceCoaching, oneToOne, sideBySide) {
 /**
  * Adds a form to the Coaching Dashboard.
  * @param {string} formId - The ID of the form to be added.
- * @throws {Error} If there is an error adding the form.
+ * @throws {Error} If the current user cannot edit forms or there is an error adding the form.
  */
 async function addForm(formId) {
+  validatePermission(PERMISSIONS.FORMS_WRITE);
   try {
-    await CoachingDashboard.addForm(formId);
+    await CoachingDashboard.addForm(formId, AUDIT_SOURCE);
   } catch (error) {
     throw error;
   }
 }
 
+/**
+ * Returns the removed forms for the Removed Forms section of the Forms page.
+ * @returns {Promise<Array<Object>>} The removed forms, each with the coaching flags it had and who removed it and when.
+ * @throws {Error} If the current user cannot read the config.
+ */
+async function getRemovedForms() {
+  validatePermission(PERMISSIONS.CONFIG_READ);
+  return await CoachingDashboard.getRemovedForms();
+}
+
+/**
+ * Restores a removed form with the performance, one-to-one and side-by-side settings it had when it was removed.
+ * @param {string} formId - The ID of the form to restore.
+ * @throws {Error} If the current user cannot edit forms or the form has not been removed.
+ */
+async function restoreForm(formId) {
+  validatePermission(PERMISSIONS.FORMS_WRITE);
+  await CoachingDashboard.restoreForm(formId, AUDIT_SOURCE);
+}
+
 /**
  * Removes a form with the given ID from the Coaching Dashboard.
  * @param {string} formId - The ID of the form to remove.
- * @throws {Error} If there was an error removing the form.
+ * @throws {Error} If the current user cannot edit forms or there was an error removing the form.
  */
 async function removeForm(formId) {
+  validatePermission(PERMISSIONS.FORMS_WRITE);
   try {
-    await CoachingDashboard.removeForm(formId);
+    await CoachingDashboard.removeForm(formId, AUDIT_SOURCE);
   } catch (error) {
     throw error;
   }
@@ -147,7 +147,6 @@ function validateValue(type, ...values) {
  **********************************************************************************************************************/
 
 const CONFIG_SHEET_ID = '1uvJdzy_VV7c39cxspgQfnRKBPW2k8NaV_HCC-SoVPO8';
-const LOCK_WAIT_TIME = 30000;
 
 /**
  * Executes the given callback while managing a script lock.